@@ -0,0 +1,96 @@
+/* ==================== Handoff Scanner (stream sanitizer) ====================
+ * Asistan yanıtı parça parça (delta) gelirken ziyaretçiye gösterilmemesi gereken
+ * handoff işaretlerini gizler. extractHandoff'un kabul ettiği tüm sözdizimleri:
+ *   ``` … ```                 (```handoff, ```json, ```quick_replies, düz fence)
+ *   <handoff> … </handoff>
+ *   [[HANDOFF: … ]]
+ *
+ * İşaretler delta sınırında bölünebilir ("``" + "`handoff", "<hand" + "off>").
+ * Bu yüzden metnin sonundaki, bir açılış işaretinin başı olabilecek kısım bir sonraki
+ * deltaya kadar bekletilir (lookahead); gizli bloğun içindeyken de kapanış işaretinin
+ * başı olabilecek son karakterler saklanır. Kapanmayan blok akış sonunda yutulur.
+ */
+
+const MARKERS = [
+  { open: "```", close: "```" },
+  { open: "<handoff>", close: "</handoff>" },
+  { open: "[[handoff:", close: "]]" },
+];
+
+// s'nin, token'ın başlangıcı olabilecek en uzun son ekinin uzunluğu (büyük/küçük harf duyarsız)
+function partialSuffixLength(s, token) {
+  const max = Math.min(s.length, token.length - 1);
+  for (let n = max; n > 0; n--) {
+    if (s.slice(-n).toLowerCase() === token.slice(0, n)) return n;
+  }
+  return 0;
+}
+
+// En erken açılış işareti → { index, marker } | null
+function findOpen(s) {
+  const lower = s.toLowerCase();
+  let best = null;
+  for (const marker of MARKERS) {
+    const index = lower.indexOf(marker.open);
+    if (index !== -1 && (!best || index < best.index)) best = { index, marker };
+  }
+  return best;
+}
+
+/**
+ * Artımlı tarayıcı: push(delta) → ziyaretçiye gösterilebilecek metin,
+ * flush() → akış bittiğinde bekletilen (işaret çıkmayan) kalan metin.
+ */
+export function createHandoffScanner() {
+  let pending = "";  // henüz karar verilmemiş metin
+  let active = null; // içinde bulunulan gizli bloğun işareti
+
+  function push(chunk) {
+    if (!chunk) return "";
+    pending += chunk;
+    let out = "";
+
+    while (pending) {
+      if (!active) {
+        const hit = findOpen(pending);
+        if (hit) {
+          out += pending.slice(0, hit.index);
+          pending = pending.slice(hit.index + hit.marker.open.length);
+          active = hit.marker;
+          continue;
+        }
+        const hold = Math.max(...MARKERS.map(m => partialSuffixLength(pending, m.open)));
+        out += pending.slice(0, pending.length - hold);
+        pending = pending.slice(pending.length - hold);
+        break;
+      }
+
+      const end = pending.toLowerCase().indexOf(active.close);
+      if (end !== -1) {
+        pending = pending.slice(end + active.close.length);
+        active = null;
+        continue;
+      }
+      // Blok içi yutulur; sadece kapanışın başı olabilecek kuyruk saklanır
+      pending = pending.slice(pending.length - partialSuffixLength(pending, active.close));
+      break;
+    }
+
+    return out;
+  }
+
+  function flush() {
+    const out = active ? "" : pending;
+    pending = "";
+    active = null;
+    return out;
+  }
+
+  return { push, flush };
+}
+
+// Tam metin için (transcript, poll yanıtı): tüm handoff işaretlerini temizle
+export function stripHandoffMarkup(text = "") {
+  const scanner = createHandoffScanner();
+  return (scanner.push(String(text)) + scanner.flush()).trim();
+}
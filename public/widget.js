@@ -0,0 +1,472 @@
+/* ==================== Sohbet Widget'ı (gömülebilir loader) ====================
+ * Kullanım (markanın sitesine tek satır):
+ *   <script src="https://eekr12.onrender.com/widget.js" data-brand="barbare" async></script>
+ *
+ * Opsiyonel attribute'lar:
+ *   data-position="left|right"   → marka config'indeki konumu ezer
+ *   data-open="1"                → sayfa açılınca panel açık gelsin
+ *
+ * API adresi script'in yüklendiği origin'dir; tema / karşılama / hızlı yanıtlar
+ * /api/chat/config?brandKey=… üzerinden marka config'inden gelir. Panel shadow DOM
+ * içinde çizilir, sitenin CSS'i ile çakışmaz. İstekler sitenin origin'iyle gider,
+ * yani markanın allowed_origins listesinde bu site olmalıdır.
+ */
+(function(){
+  const script = document.currentScript;
+  if (!script || window.__eekrChatLoaded) return;
+  window.__eekrChatLoaded = true;
+
+  const API_BASE  = new URL(script.src, location.href).origin;
+  const BRAND_KEY = script.dataset.brand || "barbare";
+  const STORE_KEY = "chat:" + BRAND_KEY;   // test.html ile aynı anahtar (sayfa yenilenince devam)
+
+  // State
+  let cfg      = null;
+  let threadId = null;
+  let token    = null;
+  let sending  = false;
+  let events   = null;   // canlı destek olayları (EventSource)
+  let takeover = false;  // personel konuşmayı devraldı mı
+  let opened   = false;
+  let restored = false;
+
+  const CSS = `
+    :host{ all: initial; }
+    *{ box-sizing:border-box; font-family: ui-sans-serif, system-ui, -apple-system, "Segoe UI", Inter, Roboto, Arial; }
+    .launcher{
+      position:fixed; bottom:20px; width:58px; height:58px; border-radius:50%; border:none; cursor:pointer;
+      background:linear-gradient(135deg, var(--primary), var(--accent)); color:#fff; font-size:26px;
+      box-shadow:0 10px 28px rgba(0,0,0,.35); z-index:2147483646; display:flex; align-items:center; justify-content:center;
+      transition:.2s transform;
+    }
+    .launcher:hover{ transform:scale(1.05) }
+    .pos-right .launcher, .pos-right .panel{ right:20px }
+    .pos-left  .launcher, .pos-left  .panel{ left:20px }
+    .panel{
+      position:fixed; bottom:90px; width:min(380px, calc(100vw - 40px)); height:min(600px, calc(100vh - 120px));
+      background:var(--panel); color:var(--text); border:1px solid rgba(255,255,255,.08); border-radius:18px;
+      box-shadow:0 16px 40px rgba(0,0,0,.45); display:none; flex-direction:column; overflow:hidden; z-index:2147483647;
+    }
+    .panel.open{ display:flex }
+    .head{ display:flex; align-items:center; gap:10px; padding:12px 14px; border-bottom:1px solid rgba(255,255,255,.08); background:var(--background); }
+    .logo{
+      width:36px; height:36px; border-radius:10px; flex:none; overflow:hidden;
+      background:linear-gradient(135deg, var(--primary), var(--accent));
+      display:flex; align-items:center; justify-content:center; font-weight:800; color:#121628;
+    }
+    .logo img{ width:100%; height:100%; object-fit:cover }
+    .title{ font-weight:800; font-size:14.5px }
+    .sub{ font-size:12px; color:var(--muted); display:flex; align-items:center; gap:6px }
+    .dot{ width:8px; height:8px; border-radius:50%; background:#10b981 }
+    .close{ margin-left:auto; background:none; border:none; color:var(--muted); font-size:20px; cursor:pointer }
+    .msgs{ flex:1; overflow:auto; padding:14px }
+    .row{ display:flex; margin:8px 0 }
+    .row.user{ justify-content:flex-end }
+    .bubble{
+      max-width:80%; padding:10px 12px; border-radius:14px; font-size:14px; line-height:1.5;
+      white-space:pre-wrap; word-wrap:break-word; color:var(--text);
+    }
+    .row.bot .bubble{ background:var(--bot) }
+    .row.user .bubble{ background:var(--user) }
+    .row.staff .bubble{ background:var(--bot); border:1px solid var(--primary) }
+    .meta{ font-size:11px; color:var(--muted); margin:3px 4px }
+    .typing{ opacity:.6 }
+    .chips{ display:flex; flex-wrap:wrap; gap:6px; padding:0 14px 10px }
+    .chip{
+      border:1px solid var(--primary); color:var(--text); background:transparent; border-radius:999px;
+      padding:6px 10px; font-size:12.5px; cursor:pointer;
+    }
+    .chip:hover{ background:var(--primary) }
+    .card{
+      margin:4px 0 10px; padding:9px 11px; border-radius:12px; font-size:13px; color:var(--text);
+      border:1px solid #10b981; background:rgba(16,185,129,.08);
+    }
+    .card.warn{ border-color:#f59e0b; background:rgba(245,158,11,.08) }
+    .input{ display:flex; gap:8px; padding:10px; border-top:1px solid rgba(255,255,255,.08); background:var(--background) }
+    textarea{
+      flex:1; resize:none; height:42px; padding:10px 12px; border-radius:12px; font-size:14px;
+      border:1px solid rgba(255,255,255,.12); background:var(--panel); color:var(--text); outline:none;
+    }
+    .send{
+      border:none; border-radius:12px; padding:0 14px; font-weight:700; color:#fff; cursor:pointer;
+      background:linear-gradient(180deg, var(--primary), var(--accent));
+    }
+    .send:disabled{ opacity:.6; cursor:not-allowed }
+  `;
+
+  // DOM (shadow root içinde)
+  const host = document.createElement("div");
+  host.id = "eekr-chat";
+  const root = host.attachShadow({ mode: "open" });
+  root.innerHTML = `
+    <style>${CSS}</style>
+    <div class="wrap pos-right">
+      <button class="launcher" aria-label="Sohbeti aç">💬</button>
+      <div class="panel" role="dialog">
+        <div class="head">
+          <div class="logo"></div>
+          <div>
+            <div class="title"></div>
+            <div class="sub"><span class="dot"></span><span class="status">hazır</span></div>
+          </div>
+          <button class="close" aria-label="Kapat">×</button>
+        </div>
+        <div class="msgs"></div>
+        <div class="chips"></div>
+        <div class="input">
+          <textarea rows="1"></textarea>
+          <button class="send">Gönder</button>
+        </div>
+      </div>
+    </div>
+  `;
+  const $wrap   = root.querySelector(".wrap");
+  const $launch = root.querySelector(".launcher");
+  const $panel  = root.querySelector(".panel");
+  const $logo   = root.querySelector(".logo");
+  const $title  = root.querySelector(".title");
+  const $status = root.querySelector(".status");
+  const $dot    = root.querySelector(".dot");
+  const $msgs   = root.querySelector(".msgs");
+  const $chips  = root.querySelector(".chips");
+  const $txt    = root.querySelector("textarea");
+  const $send   = root.querySelector(".send");
+
+  function setStatus(text, color){
+    $status.textContent = text;
+    $dot.style.background = color === "err" ? "#ef4444" : color === "wait" ? "#93c5fd" : "#10b981";
+  }
+  function scrollEnd(){ $msgs.scrollTop = $msgs.scrollHeight; }
+
+  function when(at){
+    if (!at) return "şimdi";
+    const d = new Date(at);
+    return isNaN(d) ? "şimdi" : d.toLocaleTimeString("tr-TR", { hour: "2-digit", minute: "2-digit" });
+  }
+
+  // role: user | bot | staff — metin her zaman textContent ile basılır
+  function addRow(role, text, at){
+    const row = document.createElement("div");
+    row.className = "row " + role;
+    const box = document.createElement("div");
+    const bubble = document.createElement("div");
+    bubble.className = "bubble";
+    bubble.textContent = text || "";
+    const meta = document.createElement("div");
+    meta.className = "meta";
+    meta.textContent = (role === "user" ? "Sen" : role === "staff" ? "Ekip" : "Asistan") + " • " + when(at);
+    box.appendChild(bubble); box.appendChild(meta);
+    row.appendChild(box);
+    $msgs.appendChild(row); scrollEnd();
+    return { row, bubble, meta };
+  }
+
+  function setTakeover(active){
+    takeover = !!active;
+    setStatus(takeover ? "canlı destek" : "hazır", "ok");
+  }
+
+  // handoff.created → "talebiniz iletildi" kartı; warn → yan işlem başarısız
+  function addCard(text, warn){
+    const card = document.createElement("div");
+    card.className = "card" + (warn ? " warn" : "");
+    card.textContent = text;
+    $msgs.appendChild(card); scrollEnd();
+  }
+  function addHandoffCard(kind, reference, supersedes){
+    const what = kind === "reservation" ? "Rezervasyon talebiniz" : "Talebiniz";
+    const verb = supersedes ? "güncellendi" : "ekibimize iletildi";
+    addCard(`✅ ${what} ${verb}.` + (reference ? ` Referans: ${reference}` : ""));
+  }
+
+  // items verilmezse marka config'indeki açılış çipleri (sadece ilk mesajdan önce)
+  function renderChips(items){
+    $chips.innerHTML = "";
+    const list = items || (!$msgs.querySelector(".row.user") && cfg && cfg.quick_replies) || [];
+    for (const q of list) {
+      const b = document.createElement("button");
+      b.className = "chip";
+      b.textContent = q;
+      b.addEventListener("click", () => { $txt.value = q; handleSend(); });
+      $chips.appendChild(b);
+    }
+  }
+
+  function applyConfig(c){
+    cfg = c;
+    for (const [k, v] of Object.entries(c.colors || {})) host.style.setProperty("--" + k, v);
+    $wrap.className = "wrap pos-" + (script.dataset.position || c.position || "right");
+    $title.textContent = c.title;
+    $txt.placeholder = c.placeholder;
+    $logo.textContent = "";
+    if (/^https:\/\//i.test(c.logo || "")) {
+      const img = document.createElement("img");
+      img.src = c.logo; img.alt = c.name;
+      $logo.appendChild(img);
+    } else {
+      $logo.textContent = c.logo || "";
+    }
+  }
+
+  /* ====== Oturum (threadId + token, marka başına localStorage) ====== */
+  function saveSession(){
+    try{ localStorage.setItem(STORE_KEY, JSON.stringify({ threadId, token })); }catch(_){}
+  }
+  function clearSession(){
+    try{ localStorage.removeItem(STORE_KEY); }catch(_){}
+  }
+
+  // Personel mesajları + takeover durumu; bağlantı kapanırsa token yenileyip tekrar bağlan
+  function openEvents(){
+    if (events) events.close();
+    const qs = new URLSearchParams({ threadId, brandKey: BRAND_KEY, token: token || "" });
+    events = new EventSource(API_BASE + "/api/chat/events?" + qs.toString());
+    events.onmessage = (e) => {
+      try{
+        const evt = JSON.parse(e.data);
+        if (evt.type === "ready" || evt.type === "takeover") setTakeover(evt.type === "ready" ? evt.takeover : evt.active);
+        if (evt.type === "message" && evt.role === "staff") addRow("staff", evt.text || "");
+      }catch(_){}
+    };
+    events.onerror = () => {
+      if (events.readyState !== EventSource.CLOSED) return;
+      setTimeout(() => refreshToken().then(openEvents).catch(()=>{}), 2000);
+    };
+  }
+
+  async function ensureThread(){
+    if (threadId) return threadId;
+    setStatus("başlatılıyor…","wait");
+    const r = await fetch(API_BASE + "/api/chat/init", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ brandKey: BRAND_KEY })
+    });
+    if (!r.ok) throw new Error("init_failed");
+    const j = await r.json();
+    threadId = j.threadId;
+    token    = j.token;
+    saveSession();
+    setStatus("hazır","ok");
+    openEvents();
+    return threadId;
+  }
+
+  // Süresi dolan token'ı yenile; olmazsa yeni sohbet başlat
+  async function refreshToken(){
+    const r = await fetch(API_BASE + "/api/chat/token", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Widget-Token": token || "" },
+      body: JSON.stringify({ threadId, brandKey: BRAND_KEY })
+    });
+    if (r.ok) {
+      token = (await r.json()).token;
+      saveSession();
+      if (events && events.readyState === EventSource.CLOSED) openEvents();
+      return;
+    }
+    threadId = null; token = null;
+    clearSession();
+    await ensureThread();
+  }
+
+  // Token'lı POST; 401 token_expired gelirse bir kez yenileyip tekrar dener
+  async function chatPost(path, message, extraHeaders){
+    const send = () => fetch(API_BASE + path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Widget-Token": token || "", ...(extraHeaders || {}) },
+      body: JSON.stringify({ threadId, message, brandKey: BRAND_KEY })
+    });
+    let resp = await send();
+    if (resp.status === 401) {
+      const j = await resp.clone().json().catch(() => ({}));
+      if (j.error === "token_expired") {
+        await refreshToken();
+        resp = await send();
+      }
+    }
+    return resp;
+  }
+
+  // Kayıtlı sohbet varsa geçmişi çiz ve aynı thread'e devam et; geçersizse sessizce sıfırla
+  async function restoreSession(){
+    let saved = null;
+    try{ saved = JSON.parse(localStorage.getItem(STORE_KEY) || "null"); }catch(_){}
+    if (!saved || !saved.threadId) return false;
+    threadId = saved.threadId;
+    token    = saved.token || null;
+
+    const load = () => fetch(API_BASE + "/api/chat/history?" + new URLSearchParams({ threadId, brandKey: BRAND_KEY }), {
+      headers: { "X-Widget-Token": token || "" }
+    });
+    try{
+      setStatus("yükleniyor…","wait");
+      let r = await load();
+      if (r.status === 401 && (await r.clone().json().catch(() => ({}))).error === "token_expired") {
+        const t = await fetch(API_BASE + "/api/chat/token", {
+          method: "POST",
+          headers: { "Content-Type": "application/json", "X-Widget-Token": token || "" },
+          body: JSON.stringify({ threadId, brandKey: BRAND_KEY })
+        });
+        if (t.ok) { token = (await t.json()).token; saveSession(); r = await load(); }
+      }
+      if ([400, 401, 403, 404].includes(r.status)) throw new Error("session_invalid");
+      if (!r.ok) { setStatus("hazır","ok"); openEvents(); return false; }   // geçmiş gelmedi ama thread geçerli
+
+      const j = await r.json();
+      for (const m of j.items || []) addRow(m.role === "assistant" ? "bot" : m.role, m.text, m.at);
+      setTakeover(j.takeover);
+      openEvents();
+      return (j.items || []).length > 0;
+    }catch(_){
+      threadId = null; token = null;
+      clearSession();
+      setStatus("hazır","ok");
+      return false;
+    }
+  }
+
+  // Streaming (SSE) okuyucu — olaylar: text.delta, message.done, handoff.created, quick_replies, takeover, error
+  async function sendMessageStream(message, onEvent){
+    const resp = await chatPost("/api/chat/stream", message, { "Accept":"text/event-stream" });
+    if (!resp.ok || !resp.body) {
+      // Kota / yetki gibi hatalarda fallback denemenin anlamı yok; sunucunun mesajını göster
+      const j = await resp.json().catch(() => ({}));
+      const err = new Error(j.error || "stream_response_error");
+      if ([403, 429].includes(resp.status)) err.userMessage = j.message || "Şu anda yanıt veremiyorum, lütfen daha sonra tekrar deneyin.";
+      throw err;
+    }
+
+    const reader  = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true){
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream:true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop() || "";
+
+      for (const line of lines) {
+        const ln = line.trim();
+        if (!ln.startsWith("data:")) continue;
+        const dataStr = ln.slice(5).trim();
+        if (!dataStr || dataStr === "[DONE]") continue;
+        let evt = null;
+        try{ evt = JSON.parse(dataStr); }catch(_){ continue; }
+        if (evt && evt.type) onEvent(evt);
+      }
+    }
+  }
+
+  async function handleSend(){
+    if (sending) return;
+    const msg = ($txt.value||"").trim();
+    if (!msg) return;
+
+    sending = true;
+    $send.disabled = true; $txt.disabled = true;
+
+    addRow("user", msg);
+    $chips.innerHTML = "";
+    $txt.value = "";
+
+    const node = addRow("bot", "…");
+    node.bubble.classList.add("typing");
+    let acc = "";
+    let failed = null;
+
+    try{
+      await ensureThread();
+      setStatus("yazıyor…","wait");
+      await sendMessageStream(msg, (evt)=>{
+        if (evt.type === "text.delta") acc += evt.text || "";
+        else if (evt.type === "message.done") acc = evt.text || acc;
+        else if (evt.type === "takeover") setTakeover(evt.active);
+        else if (evt.type === "handoff.created") addHandoffCard(evt.kind, evt.reference, evt.supersedes);
+        else if (evt.type === "quick_replies") renderChips(evt.items);
+        else if (evt.type === "error") failed = evt;
+        if (acc) { node.bubble.classList.remove("typing"); node.bubble.textContent = acc; }
+        scrollEnd();
+      });
+      // Canlı destekte bot yanıt vermez; personel yanıtı EventSource'tan gelir
+      if (takeover && !acc) { node.row.remove(); setTakeover(true); }
+      else if (!acc && failed) throw failed;
+      else {
+        if (failed) addCard("⚠️ " + failed.message, true);
+        node.bubble.classList.remove("typing"); setStatus("hazır","ok");
+      }
+    }catch(e){
+      if (e && (e.userMessage || e.type === "error")) {
+        node.bubble.classList.remove("typing");
+        node.bubble.textContent = e.userMessage || e.message;
+        node.meta.textContent   = "Hata";
+        setStatus("hazır","ok");
+        return;
+      }
+      // fallback (non-stream)
+      try{
+        await ensureThread();
+        setStatus("cevap alınıyor…","wait");
+        const r = await chatPost("/api/chat/message", msg);
+        const j = await r.json();
+        if (j.takeover) { node.row.remove(); setTakeover(true); return; }
+        node.bubble.classList.remove("typing");
+        node.bubble.textContent = j.message || "(Yanıt alınamadı)";
+        if (j.handoff && j.handoff.reference) addHandoffCard(j.handoff.kind, j.handoff.reference, j.handoff.supersedes);
+        renderChips(j.quick_replies || []);
+        setStatus("hazır","ok");
+      }catch(err){
+        node.bubble.classList.remove("typing");
+        node.bubble.textContent = "Üzgünüm, bir şeyler ters gitti. Lütfen tekrar dener misiniz? 🙏";
+        node.meta.textContent   = "Hata";
+        setStatus("hata","err");
+        setTimeout(()=> setStatus("hazır","ok"), 1500);
+      }
+    }finally{
+      sending = false;
+      $send.disabled = false; $txt.disabled = false; $txt.focus();
+      scrollEnd();
+    }
+  }
+
+  async function open(){
+    opened = true;
+    $panel.classList.add("open");
+    $launch.textContent = "×";
+    $launch.setAttribute("aria-label", "Sohbeti kapat");
+    if (!restored) {
+      restored = true;
+      const hasHistory = await restoreSession();
+      if (!hasHistory && cfg && !$msgs.children.length) addRow("bot", cfg.greeting);
+      renderChips();
+    }
+    $txt.focus();
+  }
+  function close(){
+    opened = false;
+    $panel.classList.remove("open");
+    $launch.textContent = "💬";
+    $launch.setAttribute("aria-label", "Sohbeti aç");
+  }
+
+  // events
+  $launch.addEventListener("click", () => (opened ? close() : open()));
+  root.querySelector(".close").addEventListener("click", close);
+  $send.addEventListener("click", handleSend);
+  $txt.addEventListener("keydown", (e)=>{
+    if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); handleSend(); }
+  });
+
+  // Marka config'i gelmeden (bilinmeyen marka / izinsiz origin) hiçbir şey gösterme
+  fetch(API_BASE + "/api/chat/config?" + new URLSearchParams({ brandKey: BRAND_KEY }))
+    .then(r => (r.ok ? r.json() : Promise.reject(new Error("config_" + r.status))))
+    .then(j => {
+      applyConfig(j.config);
+      (document.body || document.documentElement).appendChild(host);
+      if (script.dataset.open === "1") open();
+    })
+    .catch(e => console.warn("[chat-widget] disabled:", e && e.message));
+})();
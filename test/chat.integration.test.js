@@ -0,0 +1,926 @@
+// Uçtan uca: sahte Assistants API (test/support/mockOpenAI.js) + memory mailer.
+// TEST_DATABASE_URL verilirse konuşmalar/handoff'lar/outbox o Postgres'e yazılır
+// (tablolar açılışta oluşturulur; sadece test için ayrılmış bir veritabanı gösterin).
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { once } from "node:events";
+import { existsSync, rmSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { format } from "node:util";
+import pg from "pg";
+
+import { startMockOpenAI } from "./support/mockOpenAI.js";
+import { normalizeDateTR } from "../trDateTime.js";
+
+const BRAND = "itest";
+const BRAND_CONFIG = {
+  label: "Test Bağevi",
+  assistant_id: "asst_mock",
+  handoffEmailTo: "ekip@example.com",
+  noreplyEmail: "noreply@example.com",
+  mail_transport: "memory",
+  allowed_origins: ["*"], // sunucu tarafı istemci (Origin yok): bilerek her yere açık
+  experiences: [{ name: "Mahzen Turu", aliases: ["mahzen"], days: [1, 2, 3, 4, 5, 6], open: "11:00", close: "19:00" }],
+};
+// Origin bağlama: listeli marka ve listesi olmayan (kapalı) marka
+const ORIGIN_BRANDS = {
+  "itest-site": { ...BRAND_CONFIG, allowed_origins: ["https://shop.example.com"] },
+  "itest-closed": { ...BRAND_CONFIG, allowed_origins: undefined },
+};
+// Doğrulamadan geçmemiş (eski / elle yazılmış) kayıtlar: DB'ye doğrudan satır olarak, DB yoksa BRANDS_JSON ile
+const SENDMAIL_MARKER = path.join(os.tmpdir(), `itest-sendmail-${process.pid}`);
+const RAW_BRANDS = {
+  "itest-sendmail": {
+    ...BRAND_CONFIG,
+    mail_transport: "smtp",
+    smtp: { host: "smtp.example.com", sendmail: true, path: "/bin/sh", args: ["-c", `touch '${SENDMAIL_MARKER}'`] },
+  },
+};
+const RESERVATION = {
+  full_name: "Ayşe Kaya",
+  phone: "+905551112233",
+  email: "ayse@example.com",
+  party_size: 4,
+  experience: "Mahzen Turu",
+  date: "14.05.2030",
+  time: "14.00",
+};
+const FENCED_REPLY =
+  "Harika, rezervasyon talebinizi aldım 🍷\n" +
+  "```handoff\n" + JSON.stringify({ handoff: "reservation", payload: RESERVATION }) + "\n```\n";
+
+const withDb = !!process.env.TEST_DATABASE_URL;
+let mock, server, base, mod;
+
+before(async () => {
+  mock = await startMockOpenAI();
+  Object.assign(process.env, {
+    OPENAI_BASE: mock.baseUrl,
+    OPENAI_API_KEY: "sk-test",
+    ASSISTANT_ID: "asst_mock",
+    BRANDS_JSON: JSON.stringify({ [BRAND]: BRAND_CONFIG, ...ORIGIN_BRANDS, ...RAW_BRANDS }),
+    MAIL_TRANSPORT: "memory",
+    WIDGET_TOKEN_SECRET: "integration-secret",
+    ADMIN_API_KEY: "admin-test",
+    RATE_LIMIT_STORE: "memory",
+    RATE_LIMIT_GLOBAL_PER_MIN: "10000", // admin testleri tek IP'den çok istek atıyor
+    RATE_LIMIT_CHAT_PER_MIN: "1000",
+    RUN_TIMEOUT_MS: "4000",
+    ACTIVE_RUN_WAIT_MS: "500",
+    OUTBOX_POLL_MS: "200",
+    // .env'deki gerçek DATABASE_URL'e asla yazma: boş string dotenv'in doldurmasını engeller
+    DATABASE_URL: process.env.TEST_DATABASE_URL || "",
+  });
+
+  mod = await import("../index.js");
+  server = await mod.start({ port: 0 });
+  if (!server.listening) await once(server, "listening");
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  // Dolu bir test veritabanında env markaları seed edilmez → admin API ile yaz
+  if (withDb) {
+    const db = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+    await db.connect();
+    try {
+      for (const [key, config] of Object.entries(RAW_BRANDS)) {
+        await db.query(
+          `INSERT INTO brands (brand_key, config) VALUES ($1, $2)
+           ON CONFLICT (brand_key) DO UPDATE SET config = EXCLUDED.config, enabled = true`,
+          [key, JSON.stringify(config)]
+        );
+      }
+    } finally {
+      await db.end();
+    }
+    for (const [key, config] of Object.entries({ [BRAND]: BRAND_CONFIG, ...ORIGIN_BRANDS })) await upsertBrand(key, config);
+  }
+});
+
+after(async () => {
+  await mod?.stop();
+  await mock?.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  mod.memoryMailbox.length = 0;
+});
+
+async function api(method, path, body, { token, admin, signal } = {}) {
+  return fetch(base + path, {
+    method,
+    signal,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { "X-Widget-Token": token } : {}),
+      ...(admin ? { "X-Admin-Key": admin === true ? "admin-test" : admin } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+}
+
+async function upsertBrand(brandKey, config) {
+  let res = await api("PUT", `/api/admin/brands/${brandKey}`, { config, enabled: true }, { admin: true });
+  if (res.status === 404) res = await api("POST", "/api/admin/brands", { brandKey, config }, { admin: true });
+  assert.ok(res.ok, `brand setup failed: ${res.status} ${await res.text()}`);
+}
+
+// Verilen rol ve marka kapsamıyla yeni bir admin kullanıcısı → API anahtarı (api(..., { admin: key }))
+async function adminKeyFor(role, brandKeys) {
+  let res = await api("POST", "/api/admin/users",
+    { email: `${role}-${crypto.randomUUID()}@example.com`, role, brand_keys: brandKeys }, { admin: true });
+  assert.equal(res.status, 201);
+  const { item } = await res.json();
+  res = await api("POST", `/api/admin/users/${item.id}/api-keys`, { name: "itest" }, { admin: true });
+  assert.equal(res.status, 201);
+  return (await res.json()).key;
+}
+
+async function initChat(brandKey = BRAND) {
+  const res = await api("POST", "/api/chat/init", { brandKey });
+  assert.equal(res.status, 200);
+  return { ...(await res.json()), brandKey }; // { threadId, token, brandKey }
+}
+
+// SSE gövdesi → data satırlarının JSON'u ([DONE] dahil edilmez)
+async function streamChat(chat, message, query = "") {
+  const res = await api("POST", `/api/chat/stream${query}`, { brandKey: chat.brandKey, threadId: chat.threadId, message }, { token: chat.token });
+  assert.equal(res.status, 200);
+  const raw = await res.text();
+  assert.match(raw, /data: \[DONE\]\n\n$/);
+  return raw.split("\n\n")
+    .map(block => block.split("\n").find(l => l.startsWith("data: "))?.slice(6))
+    .filter(d => d && d !== "[DONE]")
+    .map(d => JSON.parse(d));
+}
+
+async function waitFor(fn, { timeout = 3000, interval = 50 } = {}) {
+  const until = Date.now() + timeout;
+  while (true) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > until) throw new Error("waitFor: timed out");
+    await new Promise(r => setTimeout(r, interval));
+  }
+}
+
+// İptal edilen run'ın id'si (…/runs/<id>/cancel isteğinden)
+const cancelledRunId = () => mock.requests.find(r => r.path.endsWith("/cancel"))?.path.split("/")[4];
+
+async function usageOf(runId) {
+  const db = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+  await db.connect();
+  try {
+    const { rows } = await db.query(`SELECT status, total_tokens FROM usage_events WHERE run_id = $1`, [runId]);
+    return rows[0] || null;
+  } finally {
+    await db.end();
+  }
+}
+
+const mailTo = (email) => mod.memoryMailbox.filter(m => m.to?.some(t => t.email === email));
+
+// DB'de mailler outbox worker'ından geç gelir: test bitmeden bekle, sonraki testin kutusuna düşmesin
+const waitForHandoffMails = (n = 1) =>
+  waitFor(() => mailTo("ekip@example.com").length === n && mailTo("ayse@example.com").length === n);
+
+test("stream: typed events, handoff fence never reaches the visitor", async () => {
+  mock.enqueue({ text: FENCED_REPLY });
+  const chat = await initChat();
+  const events = await streamChat(chat, "4 kişi mahzen turu 14 mayıs 14:00");
+
+  const deltas = events.filter(e => e.type === "text.delta").map(e => e.text);
+  assert.ok(deltas.length > 1, "reply should arrive in several deltas");
+  for (const d of deltas) assert.doesNotMatch(d, /`|handoff|\+90555/i);
+  assert.equal(deltas.join("").trim(), "Harika, rezervasyon talebinizi aldım 🍷");
+
+  const done = events.find(e => e.type === "message.done");
+  assert.equal(done.text, "Harika, rezervasyon talebinizi aldım 🍷");
+  assert.ok(!events.some(e => e.type === "error"), JSON.stringify(events));
+
+  if (withDb) {
+    const created = events.find(e => e.type === "handoff.created");
+    assert.equal(created.kind, "reservation");
+    assert.match(created.reference, /^RZV-/);
+  }
+  await waitForHandoffMails();
+});
+
+test("stream: fenced handoff is extracted and emailed to the brand and the customer", async () => {
+  mock.enqueue({ text: FENCED_REPLY });
+  const chat = await initChat();
+  await streamChat(chat, "rezervasyon");
+
+  const [brandMail] = await waitFor(() => mailTo("ekip@example.com").length && mailTo("ekip@example.com"));
+  assert.equal(brandMail.sender.email, "noreply@example.com");
+  assert.match(brandMail.htmlContent, /Ayşe Kaya/);
+  assert.match(brandMail.htmlContent, /Mahzen Turu/);
+  assert.match(brandMail.htmlContent, /2030-05-14/);
+
+  const [customerMail] = await waitFor(() => mailTo("ayse@example.com").length && mailTo("ayse@example.com"));
+  assert.match(customerMail.subject, /Rezervasyon talebiniz alındı/);
+});
+
+test("logs: customer addresses stay out of the logs and the mail test audit", async () => {
+  const lines = [];
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  for (const k of Object.keys(original)) console[k] = (...args) => { lines.push(format(...args)); original[k](...args); };
+  try {
+    mock.enqueue({ text: FENCED_REPLY });
+    await streamChat(await initChat(), "rezervasyon");
+    await waitForHandoffMails();
+    const res = await api("POST", "/_mail_test", { brandKey: BRAND, to: "kisi@example.com" }, { admin: true });
+    assert.equal(res.status, 201);
+  } finally {
+    Object.assign(console, original);
+  }
+  assert.ok(lines.some(l => l.includes("RZV-") || l.includes("customer confirmation OK")), "handoff was logged");
+  assert.ok(!lines.some(l => /ayse@example\.com|kisi@example\.com/.test(l)), lines.filter(l => /@example\.com/.test(l)).join("\n"));
+
+  if (withDb) {
+    const { items } = await (await api("GET", "/api/admin/audit?action=mail.test", null, { admin: true })).json();
+    assert.equal(items[0].detail.recipients, 1);
+    assert.ok(!JSON.stringify(items).includes("kisi@example.com"));
+  }
+});
+
+test("stream: format=openai keeps the legacy delta shape and still hides fences", async () => {
+  mock.enqueue({ text: FENCED_REPLY });
+  const chat = await initChat();
+  const events = await streamChat(chat, "rezervasyon", "?format=openai");
+
+  assert.ok(events.every(e => e.object && !e.type), JSON.stringify(events));
+  const deltas = events.filter(e => e.object === "thread.message.delta");
+  const text = deltas.map(e => e.delta.content[0].text.value).join("");
+  assert.equal(text.trim(), "Harika, rezervasyon talebinizi aldım 🍷");
+
+  // Eski istemciler tam mesajı ve run sonucunu bekler: sıra message → run.completed
+  const [message, run] = events.slice(-2);
+  assert.equal(message.object, "thread.message");
+  assert.equal(message.status, "completed");
+  assert.equal(message.content[0].text.value, "Harika, rezervasyon talebinizi aldım 🍷");
+  assert.deepEqual([run.object, run.status], ["thread.run", "completed"]);
+  assert.ok(events.some(e => e.object === "thread.run" && e.status === "in_progress"));
+  await waitForHandoffMails();
+});
+
+test("stream: tool call creates the handoff before the reply text", async () => {
+  mock.enqueue({
+    toolCalls: [{ name: "create_reservation", arguments: RESERVATION }],
+    text: (outputs) => `Talebiniz iletildi: ${JSON.parse(outputs[0].output).reference || "kayıt"} 🍷`,
+  });
+  const chat = await initChat();
+  const events = await streamChat(chat, "rezervasyon yap");
+
+  const submitted = mock.requests.find(r => r.path.endsWith("/submit_tool_outputs"));
+  const output = JSON.parse(submitted.body.tool_outputs[0].output);
+  assert.equal(output.ok, true, submitted.body.tool_outputs[0].output);
+
+  const done = events.find(e => e.type === "message.done");
+  assert.match(done.text, /^Talebiniz iletildi/);
+  if (withDb) {
+    assert.deepEqual(events.filter(e => e.type === "handoff.created").map(e => e.reference), [output.reference]);
+  }
+  await waitForHandoffMails();
+});
+
+test("stream: quick replies are announced and stripped from the text", async () => {
+  mock.enqueue({ text: "Kaç kişi olacaksınız? 🍇\n```quick_replies\n[\"2 kişi\", \"4 kişi\"]\n```" });
+  const chat = await initChat();
+  const events = await streamChat(chat, "tur");
+
+  assert.deepEqual(events.find(e => e.type === "quick_replies")?.items, ["2 kişi", "4 kişi"]);
+  assert.equal(events.find(e => e.type === "message.done").text, "Kaç kişi olacaksınız? 🍇");
+  assert.equal(mod.memoryMailbox.length, 0);
+});
+
+test("stream: failed run is reported as run_failed", async () => {
+  mock.enqueue({ status: "failed" });
+  const chat = await initChat();
+  const events = await streamChat(chat, "selam");
+  assert.equal(events.find(e => e.type === "error")?.code, "run_failed");
+});
+
+test("runs: a visitor leaving mid-stream cancels the run and its tokens still count", async () => {
+  mock.enqueue({ text: "Mahzenimiz ".repeat(40), delayMs: 40 });
+  const chat = await initChat();
+  const abort = new AbortController();
+  const res = await api("POST", "/api/chat/stream", { brandKey: chat.brandKey, threadId: chat.threadId, message: "merhaba" }, { token: chat.token, signal: abort.signal });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let raw = "";
+  while (!raw.includes('"text.delta"')) raw += decoder.decode((await reader.read()).value, { stream: true });
+  abort.abort();
+
+  const runId = await waitFor(cancelledRunId);
+  assert.equal(mock.threads.get(chat.threadId).runs.find(r => r.id === runId).status, "cancelled");
+  if (withDb) assert.deepEqual(await waitFor(() => usageOf(runId)), { status: "cancelled", total_tokens: 20 });
+});
+
+test("runs: a visitor leaving a polled reply cancels the run and its tokens still count", async () => {
+  mock.enqueue({ text: "Geç yanıt", delayMs: 60_000 });
+  const chat = await initChat();
+  const abort = new AbortController();
+  const pending = api("POST", "/api/chat/message", { brandKey: chat.brandKey, threadId: chat.threadId, message: "merhaba" }, { token: chat.token, signal: abort.signal })
+    .catch(e => e);
+  await waitFor(() => mock.requests.some(r => r.method === "POST" && r.path === `/threads/${chat.threadId}/runs`));
+  abort.abort();
+  assert.equal((await pending).name, "AbortError");
+
+  const runId = await waitFor(cancelledRunId);
+  if (withDb) assert.deepEqual(await waitFor(() => usageOf(runId)), { status: "cancelled", total_tokens: 20 });
+});
+
+test("poll: an incomplete run ends the reply at once and is not cancelled", async () => {
+  mock.enqueue({ status: "incomplete" });
+  const chat = await initChat();
+  const started = Date.now();
+  const res = await api("POST", "/api/chat/message", { brandKey: chat.brandKey, threadId: chat.threadId, message: "merhaba" }, { token: chat.token });
+  assert.equal(res.status, 500);
+  assert.match((await res.json()).detail, /Run status: incomplete/);
+  assert.ok(Date.now() - started < 4000, "waited for RUN_TIMEOUT_MS");
+  assert.equal(cancelledRunId(), undefined);
+});
+
+test("runs: a run past RUN_TIMEOUT_MS is cancelled and reported as run_timeout", async () => {
+  mock.enqueue({ text: "Yavaş ".repeat(60), delayMs: 100 }); // ~52 delta × 100 ms > 4 sn
+  const chat = await initChat();
+  const events = await streamChat(chat, "merhaba");
+
+  assert.equal(events.find(e => e.type === "error")?.code, "run_timeout");
+  assert.ok(!events.some(e => e.type === "message.done"));
+  const runId = await waitFor(cancelledRunId);
+  if (withDb) assert.deepEqual(await waitFor(() => usageOf(runId)), { status: "cancelled", total_tokens: 20 });
+});
+
+test("runs: a run still active on the thread is waited for, cancelled, and the new message goes through", async () => {
+  const chat = await initChat();
+  mock.enqueue({ text: "Eski yanıt", delayMs: 60_000 });
+  const stale = await fetch(`${mock.baseUrl}/threads/${chat.threadId}/runs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ assistant_id: "asst_mock" }),
+  }).then(r => r.json());
+  mock.enqueue({ text: "Yeni yanıt 🍷" });
+
+  const events = await streamChat(chat, "merhaba");
+  assert.equal(events.find(e => e.type === "message.done")?.text, "Yeni yanıt 🍷");
+  assert.equal(cancelledRunId(), stale.id);
+  assert.equal(mock.threads.get(chat.threadId).runs.find(r => r.id === stale.id).status, "cancelled");
+});
+
+test("poll: /api/chat/message returns the clean reply and dispatches tool handoffs", async () => {
+  mock.enqueue({ text: "Merhaba! Size nasıl yardımcı olabilirim? 🙂" });
+  mock.enqueue({
+    toolCalls: [{ name: "create_reservation", arguments: RESERVATION }],
+    text: "Talebiniz ekibe iletildi 🍷",
+  });
+  const chat = await initChat();
+
+  let res = await api("POST", "/api/chat/message", { brandKey: BRAND, threadId: chat.threadId, message: "selam" }, { token: chat.token });
+  let body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.message, "Merhaba! Size nasıl yardımcı olabilirim? 🙂");
+  assert.equal(body.handoff, null);
+
+  res = await api("POST", "/api/chat/message", { brandKey: BRAND, threadId: chat.threadId, message: "rezervasyon" }, { token: chat.token });
+  body = await res.json();
+  assert.equal(body.message, "Talebiniz ekibe iletildi 🍷");
+  assert.equal(body.handoff?.kind, "reservation");
+  await waitForHandoffMails();
+});
+
+test("chat endpoints reject missing or foreign widget tokens", async () => {
+  const chat = await initChat();
+  const other = await initChat();
+
+  let res = await api("POST", "/api/chat/stream", { brandKey: BRAND, threadId: chat.threadId, message: "x" });
+  assert.equal(res.status, 401);
+  res = await api("POST", "/api/chat/stream", { brandKey: BRAND, threadId: chat.threadId, message: "x" }, { token: other.token });
+  assert.equal(res.status, 403);
+  assert.equal(mock.requests.filter(r => r.path.endsWith("/runs")).length, 0);
+});
+
+test("widget: brands need explicit allowed_origins, \"*\" opts in to every site", async () => {
+  const init = (brandKey, origin) => fetch(`${base}/api/chat/init`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(origin ? { Origin: origin } : {}) },
+    body: JSON.stringify({ brandKey }),
+  });
+  assert.equal((await init("itest-closed")).status, 403);
+  assert.equal((await init("itest-closed", "https://shop.example.com")).status, 403);
+  assert.equal((await init("itest-site", "https://evil.example.com")).status, 403);
+  assert.equal((await init("itest-site", "https://shop.example.com")).status, 200);
+  assert.equal((await init(BRAND, "https://anywhere.example.org")).status, 200);
+});
+
+test("widget: /api/chat/config is only publicly cacheable for brands open to every site", async () => {
+  const config = (brandKey, origin) => fetch(`${base}/api/chat/config?brandKey=${brandKey}`, { headers: { Origin: origin } });
+  const open = await config(BRAND, "https://anywhere.example.org");
+  assert.equal(open.status, 200);
+  assert.equal(open.headers.get("cache-control"), "public, max-age=300");
+  assert.match(open.headers.get("vary"), /Origin/);
+
+  const bound = await config("itest-site", "https://shop.example.com");
+  assert.equal(bound.status, 200);
+  assert.equal(bound.headers.get("cache-control"), "private, max-age=300");
+  assert.match(bound.headers.get("vary"), /Origin/);
+  assert.match((await config("itest-site", "https://evil.example.com")).headers.get("vary"), /Origin/);
+});
+
+test("rate limit: chat buckets are per verified thread, forged thread ids never reach the limiter", async () => {
+  const remaining = async (chat) => {
+    const res = await api("GET", `/api/chat/history?brandKey=${BRAND}&threadId=${chat.threadId}`, null, { token: chat.token });
+    assert.equal(res.headers.get("ratelimit-limit"), "1000"); // chat limiter'ın başlıkları
+    return Number(res.headers.get("ratelimit-remaining"));
+  };
+  const a = await initChat();
+  const b = await initChat();
+  const first = await remaining(a);
+  assert.equal(await remaining(a), first - 1);
+  assert.equal(await remaining(b), first); // yeni thread → kendi kovası
+
+  // Token'sız / sahte thread: token kontrolünde düşer, chat kovası açılmaz
+  const res = await api("POST", "/api/chat/stream", { brandKey: BRAND, threadId: "thread_fake_1", message: "merhaba" });
+  assert.equal(res.status, 401);
+  assert.notEqual(res.headers.get("ratelimit-limit"), "1000");
+
+  // /api/chat/init marka + IP kovasında: thread'den bağımsız azalır
+  const init = async () => Number((await api("POST", "/api/chat/init", { brandKey: BRAND })).headers.get("ratelimit-remaining"));
+  const before = await init();
+  assert.equal(await init(), before - 1);
+});
+
+test("fallback: an assistant question never raises a reservation", async () => {
+  mock.enqueue({ text: "Memnuniyetle 🍷 Hangi tarih ve saat için, kaç kişi olacaksınız?" });
+  const chat = await initChat();
+  const events = await streamChat(chat, "14.05.2030 için mahzen turu rezervasyonu istiyorum, tel 0555 111 22 33");
+
+  assert.ok(!events.some(e => e.type === "handoff.created" || e.type === "error"), JSON.stringify(events));
+  await new Promise(r => setTimeout(r, 300));
+  assert.equal(mailTo("ekip@example.com").length, 0);
+});
+
+test("fallback: a phone number echoed inside the assistant's question raises nothing", async () => {
+  const question = "Teşekkürler Ayşe Hanım. Telefonunuz 0555 111 22 33 doğru mu?";
+  mock.enqueue({ text: question }, { text: question });
+  const chat = await initChat();
+
+  const events = await streamChat(chat, "Adım Ayşe Kaya, numaram 0555 111 22 33");
+  assert.ok(!events.some(e => e.type === "handoff.created" || e.type === "error"), JSON.stringify(events));
+
+  const res = await api("POST", "/api/chat/message", { brandKey: BRAND, threadId: chat.threadId, message: "0555 111 22 33" }, { token: chat.token });
+  assert.equal((await res.json()).handoff, null);
+
+  await new Promise(r => setTimeout(r, 600));
+  assert.equal(mailTo("ekip@example.com").length, 0);
+});
+
+test("fallback: a confirmed reservation is filled from the visitor's message", async () => {
+  mock.enqueue({ text: "Teşekkürler Ayşe Hanım, rezervasyon talebinizi ekibimize ilettim 🍷" });
+  const chat = await initChat();
+  const events = await streamChat(chat,
+    "Adım Ayşe Kaya. 14.05.2030 saat 14:00 mahzen turu, 4 kişiyiz. Tel 0555 111 22 33, ayse@example.com");
+
+  assert.ok(!events.some(e => e.type === "error"), JSON.stringify(events));
+  await waitForHandoffMails();
+  const mail = mailTo("ekip@example.com")[0];
+  assert.match(mail.subject, /Rezervasyon — Mahzen Turu \(4 kişi \| 2030-05-14 14:00[ |)]/);
+  for (const value of ["Ayşe Kaya", "0555 111 22 33"]) {
+    assert.ok(mail.textContent.includes(value), `${value} missing:\n${mail.textContent}`);
+  }
+});
+
+test("fallback: a date without a year is resolved in the brand's time zone", async () => {
+  mock.enqueue({ text: "Teşekkürler, rezervasyon talebinizi ekibimize ilettim 🍷" });
+  const chat = await initChat();
+  await streamChat(chat, "Adım Ayşe Kaya. 14 mayıs saat 14:00 mahzen turu, 4 kişi. Tel 0555 111 22 33, ayse@example.com");
+
+  await waitForHandoffMails();
+  const expected = normalizeDateTR("14 mayıs", { timeZone: "Europe/Istanbul" });
+  assert.ok(mailTo("ekip@example.com")[0].subject.includes(`${expected} 14:00`));
+});
+
+test("handoffs: a vague date or time in a tool call is carried to the team as vague", async () => {
+  mock.enqueue({
+    toolCalls: [{ name: "create_reservation", arguments: { ...RESERVATION, date: "hafta sonu", time: "14-16 arası" } }],
+    text: "Talebinizi ilettim 🍷",
+  });
+  const chat = await initChat();
+  await streamChat(chat, "hafta sonu 14-16 arası gelebiliriz");
+
+  await waitForHandoffMails();
+  const mail = mailTo("ekip@example.com")[0];
+  const saturday = normalizeDateTR("hafta sonu", { timeZone: "Europe/Istanbul" });
+  assert.match(mail.textContent, new RegExp(`Tarih: ${saturday} – \\d{4}-\\d{2}-\\d{2} \\(⚠️ belirsiz: "hafta sonu"`));
+  assert.match(mail.textContent, /Saat: 14:00 – 16:00 \(⚠️ belirsiz: "14-16 arası"/);
+
+  if (withDb) {
+    const db = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+    await db.connect();
+    try {
+      const { rows } = await db.query(
+        `SELECT flagged FROM reservations WHERE brand_key = $1 AND date = $2 ORDER BY id DESC LIMIT 1`, [BRAND, saturday]
+      );
+      assert.deepEqual(rows, [{ flagged: true }]); // teyit edilene kadar yer tutmaz
+    } finally {
+      await db.end();
+    }
+  }
+});
+
+test("history: transcript is persisted without handoff markup", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  mock.enqueue({ text: FENCED_REPLY });
+  const chat = await initChat();
+  await streamChat(chat, "4 kişi rezervasyon");
+
+  const res = await fetch(`${base}/api/chat/history?brandKey=${BRAND}&threadId=${chat.threadId}`, {
+    headers: { "X-Widget-Token": chat.token },
+  });
+  const body = await res.json();
+  assert.deepEqual(body.items.map(i => [i.role, i.text]), [
+    ["user", "4 kişi rezervasyon"],
+    ["assistant", "Harika, rezervasyon talebinizi aldım 🍷"],
+  ]);
+  await waitForHandoffMails();
+});
+
+test("handoffs: a repeated block is suppressed, changed details go out as an update", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  const chat = await initChat();
+  const brandMails = () => mailTo("ekip@example.com");
+
+  mock.enqueue({ text: FENCED_REPLY });
+  const first = (await streamChat(chat, "rezervasyon")).find(e => e.type === "handoff.created");
+  await waitFor(() => brandMails().length === 1);
+
+  // "Teşekkürler" turunda model aynı bloğu yeniden üretiyor
+  mock.enqueue({ text: FENCED_REPLY });
+  const again = await streamChat(chat, "teşekkürler");
+  assert.ok(!again.some(e => e.type === "handoff.created"), JSON.stringify(again));
+
+  const changed = { ...RESERVATION, time: "15.00", party_size: 5 };
+  mock.enqueue({
+    text: "Güncelledim 🍷\n```handoff\n" + JSON.stringify({ handoff: "reservation", payload: changed }) + "\n```",
+  });
+  const update = (await streamChat(chat, "5 kişi olalım, saat 15")).find(e => e.type === "handoff.created");
+  assert.equal(update.supersedes, first.reference);
+  assert.notEqual(update.reference, first.reference);
+
+  await waitForHandoffMails(2);
+  const updateMail = brandMails().find(m => m.subject.includes(update.reference));
+  assert.match(updateMail.subject, /Güncellenmiş Rezervasyon/);
+  assert.match(updateMail.textContent, new RegExp(`Önceki Talep: ${first.reference}`));
+  assert.match(updateMail.textContent, /Kişi Sayısı: 4 → 5; Saat: 14:00 → 15:00/);
+  assert.ok(mailTo("ayse@example.com").some(m => /Talebiniz güncellendi/.test(m.subject)));
+});
+
+test("handoffs: repeats without contact details are suppressed, pre-dedup rows are not a prior request", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  const fenced = (payload) =>
+    "Talebinizi ekibe ilettim 🍷\n```handoff\n" + JSON.stringify({ handoff: "reservation", payload }) + "\n```\n";
+  const anonymous = { experience: "Mahzen Turu", date: "14.05.2030", time: "14.00", party_size: 4 };
+
+  const chat = await initChat();
+  mock.enqueue({ text: fenced(anonymous) }, { text: fenced(anonymous) });
+  assert.ok((await streamChat(chat, "rezervasyon")).some(e => e.type === "handoff.created"));
+  const again = await streamChat(chat, "teşekkürler");
+  assert.ok(!again.some(e => e.type === "handoff.created"), JSON.stringify(again));
+  await waitFor(() => mailTo("ekip@example.com").length === 1);
+
+  // Tekilleştirme öncesi yazılmış kayıt (fingerprint NULL): yeni talep "güncellenmiş" sayılmaz
+  const legacy = await initChat();
+  const db = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+  await db.connect();
+  try {
+    await db.query(
+      `INSERT INTO handoffs (brand_key, thread_id, kind, payload, source, contact_key) VALUES ($1, $2, 'reservation', $3, 'stream', 'tel:5551112233')`,
+      [BRAND, legacy.threadId, JSON.stringify(RESERVATION)]
+    );
+  } finally {
+    await db.end();
+  }
+  mock.enqueue({ text: FENCED_REPLY });
+  const created = (await streamChat(legacy, "rezervasyon")).find(e => e.type === "handoff.created");
+  assert.ok(created && !created.supersedes, JSON.stringify(created));
+  const mails = await waitFor(() => mailTo("ekip@example.com").length === 2 && mailTo("ekip@example.com"));
+  assert.doesNotMatch(mails[1].subject, /Güncellenmiş/);
+  await waitFor(() => mailTo("ayse@example.com").length === 1);
+});
+
+test("handoffs: the reservation tool reports a repeated call as duplicate", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  const chat = await initChat();
+  const call = { toolCalls: [{ name: "create_reservation", arguments: RESERVATION }], text: "Tamam 🍷" };
+  mock.enqueue(call, call);
+
+  const first = await streamChat(chat, "rezervasyon");
+  const second = await streamChat(chat, "tekrar gönder");
+  const outputs = mock.requests
+    .filter(r => r.path.endsWith("/submit_tool_outputs"))
+    .map(r => JSON.parse(r.body.tool_outputs[0].output));
+
+  assert.equal(outputs[1].duplicate, true);
+  assert.equal(outputs[1].reference, outputs[0].reference);
+  assert.equal(first.filter(e => e.type === "handoff.created").length, 1);
+  assert.equal(second.filter(e => e.type === "handoff.created").length, 0);
+  await waitForHandoffMails();
+});
+
+test("handoffs: more concurrent reservations than pool connections all go through", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  const n = 12; // pg Pool varsayılanı 10 bağlantı
+  const chats = await Promise.all(Array.from({ length: n }, () => initChat()));
+  mock.enqueue(...chats.map((_, i) => ({
+    toolCalls: [{ name: "create_reservation", arguments: { ...RESERVATION, phone: `+90555000${String(i).padStart(4, "0")}` } }],
+    text: "Tamam 🍷",
+  })));
+
+  const signal = AbortSignal.timeout(8000);
+  const results = await Promise.all(chats.map(chat =>
+    api("POST", "/api/chat/message", { brandKey: chat.brandKey, threadId: chat.threadId, message: "rezervasyon" }, { token: chat.token, signal })
+      .then(r => r.status)));
+  assert.deepEqual(results, Array(n).fill(200));
+
+  const outputs = mock.requests
+    .filter(r => r.path.endsWith("/submit_tool_outputs"))
+    .map(r => JSON.parse(r.body.tool_outputs[0].output));
+  assert.equal(outputs.length, n);
+  assert.ok(outputs.every(o => o.ok && o.reference), JSON.stringify(outputs));
+  await waitFor(() => mailTo("ekip@example.com").length === n && mailTo("ayse@example.com").length === n, { timeout: 8000 });
+});
+
+test("fallback: fields are collected across the thread and the reason is logged", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  const chat = await initChat();
+  mock.enqueue(
+    { text: "Elbette! Hangi tarih ve saat için, kaç kişi?" },
+    { text: "Not aldım. Telefon numaranızı paylaşır mısınız?" },
+    { text: "Teşekkürler, rezervasyon talebiniz oluşturuldu 🍷" },
+  );
+  await streamChat(chat, "Mahzen turu için rezervasyon yapmak istiyorum");
+  await streamChat(chat, "14.05.2030 saat 14:00, 4 kişi");
+  const events = await streamChat(chat, "Adım Ayşe Kaya, 0555 111 22 33");
+  assert.ok(events.some(e => e.type === "handoff.created"), JSON.stringify(events));
+  await waitFor(() => mailTo("ekip@example.com").length === 1);
+
+  const res = await api("GET", `/api/admin/conversations/${chat.threadId}`, null, { admin: true });
+  const { messages, handoffs } = await res.json();
+  const reasons = messages.filter(m => m.role === "assistant").map(m => m.handoff_reason);
+  assert.equal(reasons[0], "skipped: assistant_question");
+  assert.equal(reasons[1], "skipped: assistant_question");
+  assert.match(reasons[2], /^inferred: score=\d+ \[.*date.*phone.*assistant_confirmed/);
+  assert.deepEqual(
+    (({ date, time, party_size, experience }) => ({ date, time, party_size, experience }))(handoffs[0].payload),
+    { date: "2030-05-14", time: "14:00", party_size: 4, experience: "Mahzen Turu" },
+  );
+});
+
+test("chat provider: a turn streams from /chat/completions with the thread history", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  await upsertBrand("itest-chat", { ...BRAND_CONFIG, provider: "chat" });
+  const chat = await initChat("itest-chat");
+  assert.match(chat.threadId, /^chat_/);
+
+  mock.enqueue({ text: "Merhaba! Mahzen turumuz 11:00–19:00 arası 🍷" }, { text: "Rica ederim 🙂" });
+  const first = await streamChat(chat, "merhaba");
+  const deltas = first.filter(e => e.type === "text.delta");
+  assert.ok(deltas.length > 1, "reply should arrive in several deltas");
+  assert.equal(deltas.map(e => e.text).join(""), "Merhaba! Mahzen turumuz 11:00–19:00 arası 🍷");
+  assert.equal(first.find(e => e.type === "message.done")?.text, "Merhaba! Mahzen turumuz 11:00–19:00 arası 🍷");
+
+  await streamChat(chat, "teşekkürler");
+  const calls = mock.requests.filter(r => r.path === "/chat/completions");
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].body.stream, true);
+  assert.deepEqual(
+    calls[1].body.messages.filter(m => m.role !== "system").map(m => [m.role, m.content]),
+    [["user", "merhaba"], ["assistant", "Merhaba! Mahzen turumuz 11:00–19:00 arası 🍷"], ["user", "teşekkürler"]],
+  );
+  assert.ok(!mock.requests.some(r => r.path.startsWith("/threads")), "chat provider must not touch Assistants threads");
+});
+
+test("chat provider: streamed tool_calls are merged, run and answered in a second round", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  await upsertBrand("itest-chat", { ...BRAND_CONFIG, provider: "chat" });
+  const chat = await initChat("itest-chat");
+  mock.enqueue({
+    toolCalls: [{ name: "create_reservation", arguments: RESERVATION }],
+    text: (outputs) => `Talebiniz iletildi: ${JSON.parse(outputs[0].output).reference} 🍷`,
+  });
+  const events = await streamChat(chat, "rezervasyon yap");
+
+  const [, second] = mock.requests.filter(r => r.path === "/chat/completions");
+  const [assistantCall, toolResult] = second.body.messages.slice(-2);
+  assert.equal(assistantCall.tool_calls[0].function.name, "create_reservation");
+  assert.deepEqual(JSON.parse(assistantCall.tool_calls[0].function.arguments), RESERVATION);
+  assert.equal(toolResult.role, "tool");
+  assert.equal(toolResult.tool_call_id, assistantCall.tool_calls[0].id);
+  const output = JSON.parse(toolResult.content);
+  assert.equal(output.ok, true, toolResult.content);
+
+  assert.equal(events.find(e => e.type === "message.done")?.text, `Talebiniz iletildi: ${output.reference} 🍷`);
+  assert.deepEqual(events.filter(e => e.type === "handoff.created").map(e => e.reference), [output.reference]);
+  await waitForHandoffMails();
+});
+
+test("admin: repeated query params are a 400, a date-only \"to\" covers that whole day", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  const get = (path) => api("GET", path, null, { admin: true });
+  for (const path of ["/api/admin/messages/search?q=mahzen&q=tur", "/api/admin/conversations?from=2030-01-01&from=2030-01-02"]) {
+    const res = await get(path);
+    assert.equal(res.status, 400, path);
+    assert.equal((await res.json()).error, "invalid_query");
+  }
+
+  const word = `zeytin${Date.now()}`;
+  mock.enqueue({ text: "Tabii 🙂" });
+  const chat = await initChat();
+  await streamChat(chat, `${word} tadımı var mı?`);
+
+  const today = new Date().toISOString().slice(0, 10);
+  const yesterday = new Date(Date.now() - 86_400_000).toISOString().slice(0, 10);
+  const search = (to) => get(`/api/admin/messages/search?q=${word}&to=${to}`).then(r => r.json());
+  assert.deepEqual((await search(today)).items.map(i => i.thread_id), [chat.threadId]);
+  assert.equal((await search(yesterday)).total, 0);
+
+  const listed = await get(`/api/admin/conversations?brandKey=${BRAND}&from=${today}&to=${today}&limit=200`).then(r => r.json());
+  assert.ok(listed.items.some(i => i.thread_id === chat.threadId), JSON.stringify(listed));
+});
+
+test("admin: brand secrets are redacted and survive a round-trip", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  const key = "itest-secrets";
+  const config = {
+    ...BRAND_CONFIG,
+    webhook_secret: "whsec-brand",
+    webhooks: [{ url: "https://crm.example.com/hook", secret: "whsec-hook" }],
+    smtp: { host: "smtp.example.com", auth: { user: "mailer", pass: "smtp-pass" } },
+  };
+  await upsertBrand(key, config);
+
+  const { item } = await (await api("GET", `/api/admin/brands/${key}`, null, { admin: true })).json();
+  assert.ok(!JSON.stringify(item).match(/whsec-|smtp-pass/), JSON.stringify(item));
+  assert.equal(item.config.smtp.auth.pass, "********");
+
+  // Maskeli config aynen geri gönderilir, bir alan değişir
+  let res = await api("PUT", `/api/admin/brands/${key}`, { config: { ...item.config, label: "Yeni" } }, { admin: true });
+  assert.ok(res.ok);
+  res = await api("PATCH", `/api/admin/brands/${key}`, { config: { webhooks: item.config.webhooks } }, { admin: true });
+  assert.ok(res.ok);
+
+  const db = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+  await db.connect();
+  try {
+    const { rows } = await db.query(`SELECT config FROM brands WHERE brand_key = $1`, [key]);
+    const stored = rows[0].config;
+    assert.equal(stored.label, "Yeni");
+    assert.equal(stored.webhook_secret, "whsec-brand");
+    assert.equal(stored.webhooks[0].secret, "whsec-hook");
+    assert.equal(stored.smtp.auth.pass, "smtp-pass");
+  } finally {
+    await db.end();
+  }
+});
+
+test("admin: smtp must be host/port/secure/auth, webhooks must not target internal addresses", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  const key = "itest-validate";
+  await upsertBrand(key, BRAND_CONFIG);
+  const put = async (extra) => {
+    const res = await api("PUT", `/api/admin/brands/${key}`, { config: { ...BRAND_CONFIG, ...extra } }, { admin: true });
+    return { status: res.status, body: await res.json() };
+  };
+
+  let res = await put({ smtp: { host: "smtp.example.com", sendmail: true, path: "/bin/sh" } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "invalid_config");
+  assert.match(res.body.detail.join("\n"), /smtp has unsupported keys: sendmail, path/);
+  res = await put({ smtp: { host: "smtp.example.com", port: "25", auth: { user: "u", pass: "p", type: "OAuth2" } } });
+  assert.equal(res.status, 400);
+  assert.match(res.body.detail.join("\n"), /smtp.port must be an integer/);
+  assert.match(res.body.detail.join("\n"), /smtp.auth has unsupported keys: type/);
+  res = await put({ smtp: "smtp://u:p@smtp.example.com:587?sendmail=true" });
+  assert.equal(res.status, 400);
+
+  for (const url of ["http://127.0.0.1:8080/x", "http://localhost/x", "http://169.254.169.254/latest", "http://10.1.2.3/",
+    "https://192.168.1.10/", "http://[::1]/", "http://[fd00::1]/", "http://[::ffff:127.0.0.1]/", "http://2130706433/"]) {
+    res = await put({ webhooks: [{ url, secret: "s" }] });
+    assert.equal(res.status, 400, url);
+    assert.match(res.body.detail.join("\n"), /webhooks\[0\]\.url must not point to a loopback, private or link-local address/, url);
+  }
+
+  res = await put({
+    smtp: { host: "smtp.example.com", port: 465, secure: true, auth: { user: "u", pass: "p" } },
+    webhooks: [{ url: "https://crm.example.com/hook", secret: "s" }],
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+});
+
+test("admin roles: a brand_manager edits its own brands but never transport or endpoint fields", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  const key = "itest-rbac";
+  const config = {
+    ...BRAND_CONFIG,
+    instructions: "Kısa cevap ver.",
+    webhooks: [{ url: "https://crm.example.com/hook", secret: "whsec-rbac" }],
+  };
+  await upsertBrand(key, config);
+  const manager = await adminKeyFor("brand_manager", [key]);
+  const agent = await adminKeyFor("agent", [key]);
+
+  const { item } = await (await api("GET", `/api/admin/brands/${key}`, null, { admin: manager })).json();
+  assert.equal(item.config.label, BRAND_CONFIG.label);
+  assert.equal((await api("GET", `/api/admin/brands/${BRAND}`, null, { admin: manager })).status, 403);
+  assert.equal((await api("GET", `/api/admin/brands/${key}`, null, { admin: agent })).status, 200);
+
+  // Kendi markasında sıradan alanlar: PATCH ve maskeli config'le PUT geçer
+  let res = await api("PATCH", `/api/admin/brands/${key}`, { config: { label: "Yönetici" } }, { admin: manager });
+  assert.equal(res.status, 200);
+  res = await api("PUT", `/api/admin/brands/${key}`, { config: { ...item.config, label: "Yönetici 2" } }, { admin: manager });
+  assert.equal(res.status, 200);
+
+  for (const patch of [
+    { smtp: { host: "smtp.example.com" } },
+    { mail_transport: "smtp" },
+    { webhooks: [{ url: "https://evil.example.com/hook", secret: "x" }] },
+    { webhooks: null },
+    { webhook_secret: "x" },
+    { assistant_id: "asst_other" },
+    { instructions: "Başka bir şey yap." },
+  ]) {
+    res = await api("PATCH", `/api/admin/brands/${key}`, { config: patch }, { admin: manager });
+    assert.equal(res.status, 403, JSON.stringify(patch));
+    assert.match((await res.json()).detail, new RegExp(`only an owner can change: ${Object.keys(patch)[0]}`));
+  }
+  const { webhooks, ...withoutWebhooks } = item.config;
+  res = await api("PUT", `/api/admin/brands/${key}`, { config: withoutWebhooks }, { admin: manager });
+  assert.equal(res.status, 403);
+
+  // Kapsam dışı marka, oluşturma/silme ve agent yazması
+  assert.equal((await api("PATCH", `/api/admin/brands/${BRAND}`, { config: { label: "x" } }, { admin: manager })).status, 403);
+  assert.equal((await api("POST", "/api/admin/brands", { brandKey: "itest-rbac-new", config: BRAND_CONFIG }, { admin: manager })).status, 403);
+  assert.equal((await api("DELETE", `/api/admin/brands/${key}`, null, { admin: manager })).status, 403);
+  assert.equal((await api("PATCH", `/api/admin/brands/${key}`, { config: { label: "x" } }, { admin: agent })).status, 403);
+
+  // Owner hepsini değiştirebilir
+  res = await api("PATCH", `/api/admin/brands/${key}`, { config: { instructions: "Owner talimatı." } }, { admin: true });
+  assert.equal(res.status, 200);
+
+  const db = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+  await db.connect();
+  try {
+    const { rows } = await db.query(`SELECT config FROM brands WHERE brand_key = $1`, [key]);
+    assert.equal(rows[0].config.label, "Yönetici 2");
+    assert.equal(rows[0].config.instructions, "Owner talimatı.");
+    assert.deepEqual(rows[0].config.webhooks, config.webhooks);
+  } finally {
+    await db.end();
+  }
+});
+
+test("mail: brand smtp settings reach nodemailer only as host/port/secure/auth", async () => {
+  rmSync(SENDMAIL_MARKER, { force: true });
+  const res = await api("POST", "/_mail_test", { brandKey: "itest-sendmail", to: "ekip@example.com" }, { admin: true });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error.message, /smtp has unsupported keys: .*sendmail/);
+  await new Promise(r => setTimeout(r, 500)); // başlatılmış bir süreç olsaydı dosyayı yazmaya vakit
+  assert.equal(existsSync(SENDMAIL_MARKER), false);
+});
+
+test("reservations: off-grid times count against their slot, flagged bookings hold no place", { skip: !withDb && "needs TEST_DATABASE_URL" }, async () => {
+  const key = "itest-capacity";
+  const date = "2031-03-12";
+  await upsertBrand(key, {
+    ...BRAND_CONFIG,
+    experiences: [{ name: "Mahzen Turu", aliases: ["mahzen"], open: "11:00", close: "19:00", slot_minutes: 60, slot_capacity: 4 }],
+  });
+  const db = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+  await db.connect();
+  try {
+    await db.query(`DELETE FROM reservations WHERE brand_key = $1`, [key]);
+    const book = async (time, phone) => {
+      mock.enqueue({
+        toolCalls: [{ name: "create_reservation", arguments: { ...RESERVATION, phone, date, time, party_size: 4 } }],
+        text: "Tamam 🍷",
+      });
+      await streamChat(await initChat(key), "rezervasyon");
+      const outputs = mock.requests.filter(r => r.path.endsWith("/submit_tool_outputs"));
+      return JSON.parse(outputs[outputs.length - 1].body.tool_outputs[0].output);
+    };
+
+    await book("14:30", "+905550000001");
+    const second = await book("14:00", "+905550000002"); // 14:00–15:00 slotu 14:30 ile dolu
+    assert.equal(second.ok, true);
+
+    const { rows } = await db.query(
+      `SELECT time, flagged FROM reservations WHERE brand_key = $1 ORDER BY id`, [key]
+    );
+    assert.deepEqual(rows, [{ time: "14:30", flagged: false }, { time: "14:00", flagged: true }]);
+
+    const chat = await initChat(key);
+    mock.enqueue({
+      toolCalls: [{ name: "check_availability", arguments: { experience: "Mahzen Turu", date, time: "14:00", party_size: 1 } }],
+      text: "Bakıyorum",
+    });
+    await streamChat(chat, "14:00 uygun mu?");
+    const check = JSON.parse(mock.requests.filter(r => r.path.endsWith("/submit_tool_outputs")).pop().body.tool_outputs[0].output);
+    assert.equal(check.ok, false);
+    assert.ok(check.slots.every(sl => !sl.startsWith("14:00")), JSON.stringify(check.slots));
+    assert.ok(check.slots.includes("15:00 (4 kişilik yer)"), JSON.stringify(check.slots));
+  } finally {
+    await db.end();
+  }
+  await waitFor(() => mailTo("ekip@example.com").length === 2);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { createHandoffScanner, stripHandoffMarkup } from "../handoffScanner.js";
+
+const fixtures = JSON.parse(
+  fs.readFileSync(new URL("./fixtures/stream-deltas.json", import.meta.url), "utf8")
+);
+
+// Deltaları sırayla besler; her adımda ziyaretçiye gidecek parçaları toplar
+function replay(deltas) {
+  const scanner = createHandoffScanner();
+  const emitted = deltas.map(d => scanner.push(d));
+  emitted.push(scanner.flush());
+  return emitted;
+}
+
+for (const fx of fixtures) {
+  test(`replay: ${fx.name}`, () => {
+    assert.equal(replay(fx.deltas).join(""), fx.visible);
+  });
+
+  test(`every two-way split: ${fx.name}`, () => {
+    const full = fx.deltas.join("");
+    for (let i = 0; i <= full.length; i++) {
+      assert.equal(replay([full.slice(0, i), full.slice(i)]).join(""), fx.visible, `split at ${i}`);
+    }
+  });
+
+  test(`one character per delta: ${fx.name}`, () => {
+    assert.equal(replay([...fx.deltas.join("")]).join(""), fx.visible);
+  });
+}
+
+test("no emitted chunk ever contains marker fragments", () => {
+  const deltas = ["Tamam\n", "``", "`handoff\n{\"a\":1}\n``", "`", " son [", "[HANDOFF:", "eA==]]", "<", "handoff>", "gizli", "</handoff>"];
+  for (const chunk of replay(deltas)) {
+    assert.doesNotMatch(chunk, /`|\[\[|<handoff|HANDOFF|gizli|"a"/i);
+  }
+});
+
+test("text is released as soon as it cannot start a marker", () => {
+  const scanner = createHandoffScanner();
+  assert.equal(scanner.push("Merhaba `"), "Merhaba ");
+  assert.equal(scanner.push("x"), "`x");
+  assert.equal(scanner.push(" <han"), " ");
+  assert.equal(scanner.push("dy>"), "<handy>");
+  assert.equal(scanner.flush(), "");
+});
+
+test("stripHandoffMarkup cleans complete texts", () => {
+  assert.equal(
+    stripHandoffMarkup("Alındı 🍷\n```handoff\n{}\n```\n<handoff>{}</handoff>[[HANDOFF:eA==]]"),
+    "Alındı 🍷"
+  );
+  assert.equal(stripHandoffMarkup(""), "");
+  assert.equal(stripHandoffMarkup("düz metin"), "düz metin");
+});
@@ -0,0 +1,312 @@
+/* ==================== Mock OpenAI (Assistants v2 + Chat Completions) ====================
+ * Gerçek anahtar olmadan /api/chat/stream ve /api/chat/message'ı uçtan uca çalıştırmak için
+ * senaryolu sahte Assistants API: threads, messages, runs (poll + SSE stream), tool çağrıları, cancel.
+ * "chat" sağlayıcısı için /chat/completions da aynı kuyruğu oynatır (stream'de tool_calls parça parça gelir;
+ * tool mesajlarıyla gelen sonraki istek turun metniyle biter).
+ * Sunucuyu OPENAI_BASE=<mock.baseUrl> ile buraya yönlendirin.
+ *
+ * Her yeni run kuyruktaki sıradaki turu oynatır (kuyruk boşsa defaultText):
+ *   mock.enqueue({ text: "Merhaba 🍷" })
+ *   mock.enqueue({ toolCalls: [{ name: "create_reservation", arguments: {...} }],
+ *                  text: (outputs) => "Tamam" })        // requires_action → tool çıktıları → metin
+ *   mock.enqueue({ status: "failed" })                   // run başarısız biter
+ *   mock.enqueue({ text: "...", delayMs: 100 })          // yavaş run: stream'de her delta öncesi,
+ *                                                        // poll'da run bitmeden önce bekler (cancel edilebilir)
+ * Stream'de metin chunkSize'lık deltalar halinde gönderilir (fence'ler delta sınırında bölünür).
+ * Bağlantı koparsa run sunucu tarafında sürer (gerçek API gibi); yalnızca /cancel durdurur.
+ *
+ * Lokal geliştirme: `node test/support/mockOpenAI.js` → MOCK_OPENAI_PORT (varsayılan 8790)
+ */
+import crypto from "node:crypto";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const TERMINAL = ["completed", "failed", "cancelled", "expired", "incomplete"];
+const USAGE = { prompt_tokens: 12, completion_tokens: 8, total_tokens: 20 };
+
+export async function startMockOpenAI({ port = 0, chunkSize = 7, defaultText = "Merhaba! 🙂" } = {}) {
+  const threads = new Map(); // threadId → { id, messages: [], runs: [] }
+  const turns = [];
+  const requests = [];       // { method, path, body } (assert için)
+  const tag = crypto.randomBytes(4).toString("hex"); // yeniden kullanılan test DB'sinde id çakışmasın
+  let seq = 0;
+
+  const nextId = (prefix) => `${prefix}_${tag}${++seq}`;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  function getThread(id) {
+    if (!threads.has(id)) threads.set(id, { id, messages: [], runs: [] });
+    return threads.get(id);
+  }
+
+  function addMessage(thread, role, text, metadata = {}) {
+    const msg = {
+      id: nextId("msg"),
+      object: "thread.message",
+      thread_id: thread.id,
+      role,
+      content: [{ type: "text", text: { value: text, annotations: [] } }],
+      metadata,
+      created_at: now(),
+    };
+    thread.messages.push(msg);
+    return msg;
+  }
+
+  function createRun(thread, body) {
+    const turn = turns.shift() || { text: defaultText };
+    const run = {
+      id: nextId("run"),
+      object: "thread.run",
+      thread_id: thread.id,
+      assistant_id: body.assistant_id,
+      model: "mock-model",
+      status: "queued",
+      usage: null,
+      turn,
+    };
+    thread.runs.push(run);
+    return run;
+  }
+
+  // Turu bir adım ilerlet: tool çağrısı bekliyorsa requires_action, değilse metni yaz + bitir
+  function advance(thread, run, toolOutputs) {
+    const { turn } = run;
+    if (turn.toolCalls?.length && !toolOutputs) {
+      run.status = "requires_action";
+      run.required_action = {
+        type: "submit_tool_outputs",
+        submit_tool_outputs: {
+          tool_calls: turn.toolCalls.map((c, i) => ({
+            id: `call_${run.id}_${i}`,
+            type: "function",
+            function: {
+              name: c.name,
+              arguments: typeof c.arguments === "string" ? c.arguments : JSON.stringify(c.arguments || {}),
+            },
+          })),
+        },
+      };
+      return null;
+    }
+    run.required_action = null;
+    run.tool_outputs = toolOutputs || null;
+    run.usage = USAGE;
+    if (turn.status && turn.status !== "completed") {
+      run.status = turn.status;
+      return null;
+    }
+    const text = typeof turn.text === "function" ? turn.text(toolOutputs || []) : (turn.text ?? "");
+    run.status = "completed";
+    return addMessage(thread, "assistant", text);
+  }
+
+  const publicRun = ({ turn, timer, ...run }) => run;
+
+  function sse(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  async function streamRun(res, thread, run, toolOutputs) {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    if (!toolOutputs) sse(res, "thread.run.created", publicRun(run));
+    run.status = "in_progress";
+    sse(res, "thread.run.in_progress", publicRun(run));
+
+    const msg = advance(thread, run, toolOutputs);
+    if (msg) {
+      // Deltalar akarken run sürüyor: bu arada /cancel gelebilir
+      const finalStatus = run.status;
+      run.status = "in_progress";
+      const text = msg.content[0].text.value;
+      sse(res, "thread.message.created", { ...msg, content: [] });
+      for (let i = 0; i < text.length; i += chunkSize) {
+        if (run.turn.delayMs) await new Promise(r => setTimeout(r, run.turn.delayMs));
+        if (run.status === "cancelled") break;
+        if (res.destroyed) continue;
+        sse(res, "thread.message.delta", {
+          id: msg.id,
+          object: "thread.message.delta",
+          delta: { content: [{ index: 0, type: "text", text: { value: text.slice(i, i + chunkSize) } }] },
+        });
+      }
+      if (run.status !== "cancelled") run.status = finalStatus;
+    }
+    if (res.destroyed) return;
+    if (msg && run.status !== "cancelled") sse(res, "thread.message.completed", msg);
+    sse(res, `thread.run.${run.status}`, publicRun(run));
+    res.write("event: done\ndata: [DONE]\n\n");
+    res.end();
+  }
+
+  // /chat/completions: tool mesajıyla biten istek bekleyen turu sürdürür, diğerleri yeni tur açar
+  let chatPending = null;
+  function chatCompletion(res, body) {
+    const last = body.messages?.[body.messages.length - 1];
+    const turn = last?.role === "tool" && chatPending ? chatPending : (turns.shift() || { text: defaultText });
+    const id = nextId("chatcmpl");
+    const base = { id, object: "chat.completion.chunk", created: now(), model: "mock-model" };
+
+    let message, finish;
+    if (turn.toolCalls?.length && turn !== chatPending) {
+      chatPending = turn;
+      finish = "tool_calls";
+      message = {
+        role: "assistant",
+        content: null,
+        tool_calls: turn.toolCalls.map((c, i) => ({
+          id: `call_${id}_${i}`,
+          type: "function",
+          function: {
+            name: c.name,
+            arguments: typeof c.arguments === "string" ? c.arguments : JSON.stringify(c.arguments || {}),
+          },
+        })),
+      };
+    } else {
+      chatPending = null;
+      const outputs = body.messages
+        .filter(m => m.role === "tool")
+        .map(m => ({ tool_call_id: m.tool_call_id, output: m.content }));
+      finish = turn.status === "failed" ? "content_filter" : "stop";
+      message = { role: "assistant", content: typeof turn.text === "function" ? turn.text(outputs) : (turn.text ?? "") };
+    }
+
+    if (!body.stream) {
+      return json(res, 200, {
+        ...base, object: "chat.completion",
+        choices: [{ index: 0, message, finish_reason: finish }],
+        usage: USAGE,
+      });
+    }
+
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    const chunk = (delta, finishReason = null) =>
+      res.write(`data: ${JSON.stringify({ ...base, choices: [{ index: 0, delta, finish_reason: finishReason }] })}\n\n`);
+    chunk({ role: "assistant", content: "" });
+    const text = message.content || "";
+    for (let i = 0; i < text.length; i += chunkSize) chunk({ content: text.slice(i, i + chunkSize) });
+    // Gerçek API gibi: ilk parça id + ad, argümanlar index'e göre parça parça
+    for (const [index, tc] of (message.tool_calls || []).entries()) {
+      chunk({ tool_calls: [{ index, id: tc.id, type: "function", function: { name: tc.function.name, arguments: "" } }] });
+      const args = tc.function.arguments;
+      for (let i = 0; i < args.length; i += chunkSize) {
+        chunk({ tool_calls: [{ index, function: { arguments: args.slice(i, i + chunkSize) } }] });
+      }
+    }
+    chunk({}, finish);
+    if (body.stream_options?.include_usage) res.write(`data: ${JSON.stringify({ ...base, choices: [], usage: USAGE })}\n\n`);
+    res.write("data: [DONE]\n\n");
+    res.end();
+  }
+
+  function json(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  function listMessages(thread, url) {
+    const limit = parseInt(url.searchParams.get("limit"), 10) || 20;
+    const ordered = url.searchParams.get("order") === "asc" ? [...thread.messages] : [...thread.messages].reverse();
+    return { object: "list", data: ordered.slice(0, limit) };
+  }
+
+  async function handle(req, res) {
+    let raw = "";
+    for await (const chunk of req) raw += chunk;
+    const body = raw ? JSON.parse(raw) : {};
+    const url = new URL(req.url, "http://mock");
+    const route = url.pathname.replace(/^\/v1/, "");
+    requests.push({ method: req.method, path: route, body });
+
+    let m;
+    if (req.method === "GET" && (m = route.match(/^\/assistants\/([^/]+)$/))) {
+      return json(res, 200, { id: m[1], object: "assistant", tools: [{ type: "file_search" }] });
+    }
+    if (req.method === "POST" && route === "/chat/completions") return chatCompletion(res, body);
+    if (req.method === "POST" && route === "/threads") {
+      const thread = getThread(nextId("thread"));
+      thread.metadata = body.metadata || {};
+      return json(res, 200, { id: thread.id, object: "thread", metadata: thread.metadata });
+    }
+
+    if (!(m = route.match(/^\/threads\/([^/]+)(\/.*)?$/))) return json(res, 404, { error: { message: `no route ${route}` } });
+    const thread = getThread(m[1]);
+    const rest = m[2] || "";
+    const active = thread.runs.find(r => !TERMINAL.includes(r.status));
+
+    if (rest === "/messages" && req.method === "POST") {
+      if (active) {
+        return json(res, 400, { error: { message: `Can't add messages to ${thread.id} while a run ${active.id} is active.` } });
+      }
+      const content = typeof body.content === "string" ? body.content : JSON.stringify(body.content);
+      return json(res, 200, addMessage(thread, body.role || "user", content, body.metadata));
+    }
+    if (rest === "/messages" && req.method === "GET") return json(res, 200, listMessages(thread, url));
+
+    if (rest === "/runs" && req.method === "POST") {
+      if (active) return json(res, 400, { error: { message: `Thread ${thread.id} already has an active run ${active.id}.` } });
+      const run = createRun(thread, body);
+      if (body.stream) return streamRun(res, thread, run, null);
+      const queued = { ...publicRun(run) };
+      if (run.turn.delayMs) {
+        run.status = "in_progress";
+        run.timer = setTimeout(() => advance(thread, run, null), run.turn.delayMs);
+      } else {
+        advance(thread, run, null);
+      }
+      return json(res, 200, queued);
+    }
+    if (rest === "/runs" && req.method === "GET") {
+      return json(res, 200, { object: "list", data: [...thread.runs].reverse().slice(0, 20).map(publicRun) });
+    }
+
+    const runMatch = rest.match(/^\/runs\/([^/]+)(\/submit_tool_outputs|\/cancel)?$/);
+    const run = runMatch && thread.runs.find(r => r.id === runMatch[1]);
+    if (!run) return json(res, 404, { error: { message: `no run ${rest}` } });
+
+    if (!runMatch[2] && req.method === "GET") return json(res, 200, publicRun(run));
+    if (runMatch[2] === "/cancel") {
+      if (TERMINAL.includes(run.status)) return json(res, 400, { error: { message: `Cannot cancel run with status '${run.status}'.` } });
+      clearTimeout(run.timer);
+      run.status = "cancelled";
+      run.usage = USAGE; // iptal edilen run da token harcamıştır
+      return json(res, 200, { ...publicRun(run), status: "cancelling" });
+    }
+    if (runMatch[2] === "/submit_tool_outputs") {
+      if (run.status !== "requires_action") return json(res, 400, { error: { message: "Run is not waiting for tool outputs." } });
+      const outputs = body.tool_outputs || [];
+      if (body.stream) return streamRun(res, thread, run, outputs);
+      const queued = { ...publicRun(run), status: "queued", required_action: null };
+      advance(thread, run, outputs);
+      return json(res, 200, queued);
+    }
+    return json(res, 404, { error: { message: `no route ${route}` } });
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((e) => json(res, 500, { error: { message: String(e?.message || e) } }));
+  });
+  await new Promise(resolve => server.listen(port, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    baseUrl: `${url}/v1`,
+    threads,
+    requests,
+    enqueue(...items) { turns.push(...items); },
+    reset() { turns.length = 0; requests.length = 0; chatPending = null; },
+    close() {
+      for (const thread of threads.values()) thread.runs.forEach(r => clearTimeout(r.timer));
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const mock = await startMockOpenAI({ port: parseInt(process.env.MOCK_OPENAI_PORT, 10) || 8790 });
+  console.log(`[mock-openai] listening — OPENAI_BASE=${mock.baseUrl}`);
+}
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseDateTR, parseTimeTR, scanDatesTR, scanTimesTR, normalizeDateTR, normalizeTimeTR } from "../trDateTime.js";
+
+// Pazartesi 19 Ekim 2026, 13:00 İstanbul
+const now = new Date("2026-10-19T10:00:00Z");
+const opts = { now, timeZone: "Europe/Istanbul" };
+
+const DATES = [
+  ["14.05.2030", { date: "2030-05-14", ambiguous: false }],
+  ["14/05/2030", { date: "2030-05-14", ambiguous: false }],
+  ["14 05 2030", { date: "2030-05-14", ambiguous: false }],
+  ["2030-05-14", { date: "2030-05-14", ambiguous: false }],
+  ["5 Kasım 2025", { date: "2025-11-05", ambiguous: false }],
+  ["15 kasım", { date: "2026-11-15", ambiguous: false }],
+  ["15.11", { date: "2026-11-15", ambiguous: false }],
+  ["3 ocak", { date: "2027-01-03", ambiguous: false }],
+  ["14 ekim", { date: "2027-10-14", ambiguous: true }],
+  ["bugün", { date: "2026-10-19", ambiguous: false }],
+  ["yarın", { date: "2026-10-20", ambiguous: false }],
+  ["yarından sonra", { date: "2026-10-21", ambiguous: false }],
+  ["3 gün sonra", { date: "2026-10-22", ambiguous: false }],
+  ["bu cumartesi", { date: "2026-10-24", ambiguous: false }],
+  ["Cumartesi günü", { date: "2026-10-24", ambiguous: false }],
+  ["pazartesi", { date: "2026-10-19", ambiguous: true }],
+  ["önümüzdeki cuma", { date: "2026-10-23", ambiguous: true }],
+  ["haftaya cumartesi", { date: "2026-10-31", ambiguous: false }],
+  ["hafta sonu", { date: "2026-10-24", end: "2026-10-25", ambiguous: true }],
+  ["önümüzdeki hafta sonu", { date: "2026-10-24", end: "2026-10-25", ambiguous: true }],
+  ["haftaya hafta sonu", { date: "2026-10-31", end: "2026-11-01", ambiguous: true }],
+];
+
+for (const [input, expected] of DATES) {
+  test(`date: ${input}`, () => {
+    assert.deepEqual(parseDateTR(input, opts), expected);
+  });
+}
+
+test("date: impossible calendar days are rejected", () => {
+  assert.equal(parseDateTR("31.02.2030", opts), null);
+  assert.equal(parseDateTR("31 şubat 2030", opts), null);
+  assert.equal(parseDateTR("29 şubat", opts), null); // 2026 ve 2027 artık yıl değil
+  assert.equal(parseDateTR("14.13.2030", opts), null);
+  assert.equal(parseDateTR("2030-02-30", opts), null);
+});
+
+test("date: relative days follow the brand time zone, not UTC", () => {
+  const lateSunday = new Date("2026-10-18T22:30:00Z"); // İstanbul'da pazartesi 01:30
+  assert.equal(normalizeDateTR("yarın", { now: lateSunday, timeZone: "Europe/Istanbul" }), "2026-10-20");
+  assert.equal(normalizeDateTR("yarın", { now: lateSunday, timeZone: "UTC" }), "2026-10-19");
+});
+
+test("date: sunday's 'bu hafta sonu' is today", () => {
+  const sunday = new Date("2026-10-25T09:00:00Z");
+  assert.deepEqual(parseDateTR("bu hafta sonu", { now: sunday }), { date: "2026-10-25", ambiguous: false });
+});
+
+const TIMES = [
+  ["14:00", { time: "14:00", ambiguous: false }],
+  ["14.30", { time: "14:30", ambiguous: false }],
+  ["14 00", { time: "14:00", ambiguous: false }],
+  ["saat 15'te", { time: "15:00", ambiguous: false }],
+  ["07:00", { time: "07:00", ambiguous: false }],
+  ["saat 7", { time: "07:00", ambiguous: true }],
+  ["2:30 pm", { time: "14:30", ambiguous: false }],
+  ["akşam 7", { time: "19:00", ambiguous: false }],
+  ["akşam yedi buçuk", { time: "19:30", ambiguous: false }],
+  ["öğleden sonra 3 buçuk", { time: "15:30", ambiguous: false }],
+  ["öğlen 1", { time: "13:00", ambiguous: false }],
+  ["gece 11", { time: "23:00", ambiguous: false }],
+  ["gece 2", { time: "02:00", ambiguous: false }],
+  ["14-16 arası", { time: "14:00", end: "16:00", ambiguous: true }],
+  ["14 ile 16 arası", { time: "14:00", end: "16:00", ambiguous: true }],
+  ["akşam 7-9 arası", { time: "19:00", end: "21:00", ambiguous: true }],
+  ["11-1 arası", { time: "11:00", end: "13:00", ambiguous: true }],
+];
+
+for (const [input, expected] of TIMES) {
+  test(`time: ${input}`, () => {
+    assert.deepEqual(parseTimeTR(input), expected);
+  });
+}
+
+test("time: invalid clocks are rejected", () => {
+  assert.equal(normalizeTimeTR("25:00"), null);
+  assert.equal(normalizeTimeTR("14:75"), null);
+  assert.equal(normalizeTimeTR("13 pm"), null);
+  assert.equal(normalizeTimeTR("16-14 arası"), null);
+});
+
+test("scan: dates in free text skip durations and phone numbers", () => {
+  const text = "Bu cumartesi ya da 15 Kasımda, tur 2.5 saat sürüyor; tel 0555-111-22-33";
+  assert.deepEqual(
+    scanDatesTR(text, opts).map(h => [h.text, h.date]),
+    [["Bu cumartesi", "2026-10-24"], ["15 Kasımda", "2026-11-15"]],
+  );
+});
+
+test("scan: bare numbers are not times", () => {
+  const text = "4 kişiyiz, akşam 7 buçukta ya da 14-16 arası; tel 0555 111 22 33";
+  assert.deepEqual(
+    scanTimesTR(text).map(h => [h.text, h.time, h.end || null]),
+    [["akşam 7 buçukta", "19:30", null], ["14-16 arası", "14:00", "16:00"]],
+  );
+});
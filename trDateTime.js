@@ -0,0 +1,282 @@
+/* ==================== TR Tarih/Saat (göreli ifadeler) ====================
+ * Ziyaretçinin yazdığı Türkçe tarih/saat ifadelerini ISO'ya çevirir:
+ *   tarih: "14.05.2030", "2030-05-14", "15 kasım (2026)", "15.11", "bugün", "yarın", "öbür gün",
+ *          "3 gün sonra", "(bu|önümüzdeki|haftaya) cumartesi", "(bu|önümüzdeki|haftaya) hafta sonu"
+ *   saat:  "14:00", "14.30", "saat 14", "2 pm", "akşam 7", "öğleden sonra 3 buçuk",
+ *          "14-16 arası", "14 ile 16 arası"
+ * Göreli ifadeler markanın saat dilimindeki "bugün"e göre çözülür (varsayılan Europe/Istanbul).
+ * Sonuç { date | time, end?, ambiguous }: aralıklar (hafta sonu, 14-16) end taşır; tek bir güne/saate
+ * indirgenemeyen ya da iki anlama gelebilen ifadeler ambiguous: true döner (müşteriyle teyit edilmeli).
+ * Takvimde olmayan tarihler (31 Şubat) ve geçersiz saatler null.
+ */
+
+const L = "a-zçğıöşü";
+const DAY_MS = 86_400_000;
+const DEFAULT_TIME_ZONE = "Europe/Istanbul";
+
+const MONTH_NUMBERS = {
+  "ocak": 1, "şubat": 2, "subat": 2, "mart": 3, "nisan": 4, "mayıs": 5, "mayis": 5,
+  "haziran": 6, "temmuz": 7, "ağustos": 8, "agustos": 8, "eylül": 9, "eylul": 9,
+  "ekim": 10, "kasım": 11, "kasim": 11, "aralık": 12, "aralik": 12,
+};
+const WEEKDAY_NUMBERS = {
+  "pazartesi": 1, "salı": 2, "sali": 2, "çarşamba": 3, "carsamba": 3, "perşembe": 4, "persembe": 4,
+  "cumartesi": 6, "cuma": 5, "pazar": 7,
+};
+const RELATIVE_DAYS = { "bugün": 0, "bugun": 0, "yarından sonra": 2, "yarın": 1, "yarin": 1, "öbür gün": 2 };
+const HOUR_WORDS = {
+  "on bir": 11, "on iki": 12, "bir": 1, "iki": 2, "üç": 3, "dört": 4, "beş": 5, "altı": 6,
+  "yedi": 7, "sekiz": 8, "dokuz": 9, "on": 10,
+};
+
+// Uzun seçenek önce ("cumartesi" | "cuma", "on bir" | "on")
+const alt = (obj) => Object.keys(obj).sort((a, b) => b.length - a.length).join("|");
+const MONTHS = alt(MONTH_NUMBERS);
+const WEEKDAYS = alt(WEEKDAY_NUMBERS);
+const WEEK_PREFIXES = "gelecek hafta|önümüzdeki hafta|haftaya|önümüzdeki|gelecek|bu";
+const PERIODS = "öğleden sonra|öğlen|öğle|sabah|ikindi|akşam|gece";
+
+/* ---------- takvim yardımcıları (UTC üzerinde gün aritmetiği) ---------- */
+
+// Takvimde varsa "YYYY-MM-DD", yoksa null (31 Şubat, 13. ay)
+function isoDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+  return d.toISOString().slice(0, 10);
+}
+
+function addDays(iso, n) {
+  return new Date(Date.parse(`${iso}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+// 1=Pzt … 7=Paz
+function weekdayOf(iso) {
+  const wd = new Date(`${iso}T00:00:00Z`).getUTCDay();
+  return wd === 0 ? 7 : wd;
+}
+
+// Verilen saat diliminde bugünün tarihi
+function todayIn(timeZone, now) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone, year: "numeric", month: "2-digit", day: "2-digit",
+  }).format(now);
+}
+
+/* ---------- tarih kuralları ---------- */
+
+// Yılsız gün/ay: bu yıl geçtiyse gelecek yıl. Birkaç hafta önce geçmiş bir günse ("14 ekim", 19 Ekim'de)
+// yazım hatası da olabilir → ambiguous
+function dayMonth(ctx, day, month, year) {
+  if (!month) return null;
+  if (year) {
+    const date = isoDate(+year, month, day);
+    return date && { date, ambiguous: false };
+  }
+  const thisYear = +ctx.today.slice(0, 4);
+  const current = isoDate(thisYear, month, day);
+  if (current && current >= ctx.today) return { date: current, ambiguous: false };
+  const next = isoDate(thisYear + 1, month, day);
+  if (!next) return null;
+  const recentlyPassed = !!current && current >= addDays(ctx.today, -31);
+  return { date: next, ambiguous: recentlyPassed };
+}
+
+function weekday(ctx, prefix, target) {
+  const delta = (target - ctx.wd + 7) % 7;
+  if (prefix === "haftaya" || prefix === "gelecek hafta" || prefix === "önümüzdeki hafta") {
+    return { date: addDays(ctx.today, 7 - ctx.wd + target), ambiguous: false };
+  }
+  if (prefix === "önümüzdeki" || prefix === "gelecek") {
+    // Bu haftanın içine düşüyorsa "haftaya" da kastedilmiş olabilir
+    const days = delta || 7;
+    return { date: addDays(ctx.today, days), ambiguous: days <= 7 - ctx.wd };
+  }
+  // "cumartesi" cumartesi günü yazıldıysa bugün mü, haftaya mı belli değil
+  return { date: addDays(ctx.today, delta), ambiguous: !prefix && delta === 0 };
+}
+
+function weekend(ctx, prefix) {
+  let saturday = addDays(ctx.today, (6 - ctx.wd + 7) % 7);
+  if (prefix === "haftaya" || prefix === "gelecek hafta" || prefix === "önümüzdeki hafta") {
+    saturday = addDays(ctx.today, 7 - ctx.wd + 6);
+  } else if (prefix === "önümüzdeki" || prefix === "gelecek") {
+    if (ctx.wd >= 6) saturday = addDays(ctx.today, 13 - ctx.wd);
+  } else if (ctx.wd === 7) {
+    return { date: ctx.today, ambiguous: false }; // pazar günü "bu hafta sonu" = bugün
+  }
+  return { date: saturday, end: addDays(saturday, 1), ambiguous: true };
+}
+
+const DATE_RULES = [
+  {
+    re: `(\\d{4})-(\\d{2})-(\\d{2})`,
+    resolve: (m) => dayMonth(null, +m[3], +m[2], m[1]),
+  },
+  {
+    // "2.5 saat", "3.5 km" tarih değil; "saat 10.30" saattir
+    re: `(?<!saat\\s*)(\\d{1,2})[./-](\\d{1,2})(?:[./-](\\d{4})|(?!\\s*(?:saat|kişi|km|tl|₺|%)))(?:'[${L}]+)?`,
+    resolve: (m, ctx) => dayMonth(ctx, +m[1], +m[2], m[3]),
+  },
+  {
+    re: `(\\d{1,2})\\s*(${MONTHS})[${L}]*(?:\\s+(\\d{4}))?(?:'[${L}]+)?`,
+    resolve: (m, ctx) => dayMonth(ctx, +m[1], MONTH_NUMBERS[m[2]], m[3]),
+  },
+  {
+    re: `(${alt(RELATIVE_DAYS)})[${L}]*`,
+    resolve: (m, ctx) => ({ date: addDays(ctx.today, RELATIVE_DAYS[m[1]]), ambiguous: false }),
+  },
+  {
+    re: `(\\d{1,3})\\s+gün\\s+sonra`,
+    resolve: (m, ctx) => ({ date: addDays(ctx.today, +m[1]), ambiguous: false }),
+  },
+  {
+    re: `(?:(${WEEK_PREFIXES})\\s+)?hafta\\s*sonu[${L}]*`,
+    resolve: (m, ctx) => weekend(ctx, m[1]),
+  },
+  {
+    re: `(?:(${WEEK_PREFIXES})\\s+)?(${WEEKDAYS})[${L}]*(?:\\s+günü?)?`,
+    resolve: (m, ctx) => weekday(ctx, m[1], WEEKDAY_NUMBERS[m[2]]),
+  },
+];
+
+const DATE_ANCHORED = DATE_RULES.map(r => new RegExp(`^(?:${r.re})$`));
+const DATE_SCAN = new RegExp(
+  `(?<![${L}\\d.:/-])(?:${DATE_RULES.map(r => r.re).join("|")})(?![${L}\\d])`,
+  "g"
+);
+
+function dateContext({ timeZone = DEFAULT_TIME_ZONE, now = new Date() } = {}) {
+  const today = todayIn(timeZone, now);
+  return { today, wd: weekdayOf(today) };
+}
+
+function resolveDate(text, ctx) {
+  for (let i = 0; i < DATE_RULES.length; i++) {
+    const m = text.match(DATE_ANCHORED[i]);
+    if (m) return DATE_RULES[i].resolve(m, ctx);
+  }
+  return null;
+}
+
+/**
+ * Tek bir tarih ifadesi → { date: "YYYY-MM-DD", end?, ambiguous } | null
+ * opts: { timeZone, now } (göreli ifadeler için "bugün")
+ */
+export function parseDateTR(input, opts) {
+  if (!input) return null;
+  const s = String(input).trim().toLocaleLowerCase("tr").replace(/\s+/g, " ")
+    .replace(/^(\d{1,2}) (\d{1,2}) (\d{4})$/, "$1.$2.$3"); // "14 05 2030"
+  return resolveDate(s, dateContext(opts));
+}
+
+/**
+ * Serbest metindeki tüm tarih ifadeleri (soldan sağa):
+ * [{ index, text, date, end?, ambiguous }] — index orijinal metne göredir
+ */
+export function scanDatesTR(text, opts) {
+  const ctx = dateContext(opts);
+  const lower = String(text || "").toLocaleLowerCase("tr");
+  const out = [];
+  for (const m of lower.matchAll(DATE_SCAN)) {
+    const hit = resolveDate(m[0], ctx);
+    if (hit) out.push({ index: m.index, text: String(text).slice(m.index, m.index + m[0].length), ...hit });
+  }
+  return out;
+}
+
+/* ---------- saat ---------- */
+
+const HOUR = `(\\d{1,2}(?!\\d)|${alt(HOUR_WORDS)}(?![${L}]))(?:[:.](\\d{2})(?![.\\d]))?(?:\\s*(buçuk|çeyrek geçe)[${L}]*)?`;
+const TIME_RE =
+  `(?:(${PERIODS})\\s+)?(saat\\s*)?${HOUR}(?:\\s*(am|pm))?(?:'[${L}]+)?` +
+  `(?:\\s*(?:-|–|ile|ila)\\s*${HOUR}(?:'[${L}]+)?(\\s+aras[ıi][${L}]*)?)?`;
+const TIME_ANCHORED = new RegExp(`^(?:${TIME_RE})$`);
+const TIME_SCAN = new RegExp(`(?<![${L}\\d.:])(?:${TIME_RE})(?![${L}\\d])`, "g");
+
+// Dönem kelimesine göre 24 saate çevir ("akşam 7" → 19, "gece 2" → 2, "öğlen 1" → 13)
+function applyPeriod(hh, period) {
+  if (!period || hh > 12) return hh;
+  switch (period) {
+    case "öğle":
+    case "öğlen":
+      return hh <= 5 ? hh + 12 : hh;
+    case "öğleden sonra":
+    case "ikindi":
+      return hh < 12 ? hh + 12 : hh;
+    case "akşam":
+      return hh === 12 ? 0 : hh + 12;
+    case "gece":
+      return hh === 12 ? 0 : hh >= 6 ? hh + 12 : hh;
+    default: // sabah
+      return hh;
+  }
+}
+
+function toClock(hour, minutes, half, period, ampm) {
+  let hh = HOUR_WORDS[hour] ?? parseInt(hour, 10);
+  const mm = minutes != null ? parseInt(minutes, 10) : half === "buçuk" ? 30 : half ? 15 : 0;
+  if (mm > 59) return null;
+  if (ampm) {
+    if (hh < 1 || hh > 12) return null;
+    if (ampm === "pm" && hh < 12) hh += 12;
+    if (ampm === "am" && hh === 12) hh = 0;
+  } else {
+    hh = applyPeriod(hh, period);
+  }
+  if (hh > 23) return null;
+  // "saat 7" sabah mı akşam mı? Sıfırla yazılmış ("07:00") ya da dönemli ifadeler belirgin
+  const ambiguous = !period && !ampm && hh >= 1 && hh <= 11 && !String(hour).startsWith("0");
+  return { hh, mm, ambiguous };
+}
+
+const fmt = ({ hh, mm }) => `${String(hh).padStart(2, "0")}:${String(mm).padStart(2, "0")}`;
+
+function resolveTime(m) {
+  const [, period, , h1, m1, half1, ampm, h2, m2, half2] = m;
+  const start = toClock(h1, m1, half1, period, ampm);
+  if (!start) return null;
+  if (!h2) return { time: fmt(start), ambiguous: start.ambiguous };
+
+  const end = toClock(h2, m2, half2, period, ampm);
+  if (!end) return null;
+  if (end.hh * 60 + end.mm <= start.hh * 60 + start.mm && end.hh < 12) end.hh += 12; // "11-1 arası"
+  if (end.hh * 60 + end.mm <= start.hh * 60 + start.mm) return null;
+  return { time: fmt(start), end: fmt(end), ambiguous: true };
+}
+
+/** Tek bir saat ifadesi → { time: "HH:MM", end?, ambiguous } | null */
+export function parseTimeTR(input) {
+  if (!input) return null;
+  const s = String(input).trim().toLocaleLowerCase("tr").replace(/\s+/g, " ")
+    .replace(/^(\d{1,2}) (\d{2})$/, "$1:$2"); // "14 00"
+  const m = s.match(TIME_ANCHORED);
+  return m ? resolveTime(m) : null;
+}
+
+/**
+ * Serbest metindeki saat ifadeleri. Çıplak sayılar ("4 kişi") sayılmaz: "saat", dönem kelimesi,
+ * dakika, buçuk, am/pm ya da "arası" gerekir.
+ */
+export function scanTimesTR(text) {
+  const lower = String(text || "").toLocaleLowerCase("tr");
+  const out = [];
+  for (const m of lower.matchAll(TIME_SCAN)) {
+    const [, period, saat, , m1, half1, ampm, , m2, , between] = m;
+    if (!(period || saat || m1 || m2 || half1 || ampm || between)) continue;
+    const hit = resolveTime(m);
+    if (hit) out.push({ index: m.index, text: String(text).slice(m.index, m.index + m[0].length), ...hit });
+  }
+  return out;
+}
+
+/* ---------- geriye dönük uyumlu kısa yollar ---------- */
+
+// "YYYY-MM-DD" | null (göreli ifadeler opts.timeZone'a göre)
+export function normalizeDateTR(input, opts) {
+  return parseDateTR(input, opts)?.date || null;
+}
+
+// "HH:MM" | null (aralıkta başlangıç saati)
+export function normalizeTimeTR(input) {
+  return parseTimeTR(input)?.time || null;
+}